@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "AppointmentStatusHistory" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "fromStatus" "AppointmentStatus",
+    "toStatus" "AppointmentStatus" NOT NULL,
+    "changedById" TEXT NOT NULL,
+    "reason" TEXT,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AppointmentStatusHistory_appointmentId_idx" ON "AppointmentStatusHistory"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "AppointmentStatusHistory" ADD CONSTRAINT "AppointmentStatusHistory_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentStatusHistory" ADD CONSTRAINT "AppointmentStatusHistory_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
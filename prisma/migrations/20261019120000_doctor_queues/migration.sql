@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "skippedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "QueueCounter" (
+    "doctorId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "lastNumber" INTEGER NOT NULL,
+
+    CONSTRAINT "QueueCounter_pkey" PRIMARY KEY ("doctorId","date")
+);
+
+-- CreateIndex
+CREATE INDEX "Appointment_doctorId_date_idx" ON "Appointment"("doctorId", "date");
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "AppointmentStatus" ADD VALUE 'NO_SHOW';
+
+-- AlterTable
+ALTER TABLE "AppointmentStatusHistory" ALTER COLUMN "changedById" DROP NOT NULL;
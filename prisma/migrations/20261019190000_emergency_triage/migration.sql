@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "Consciousness" AS ENUM ('ALERT', 'VOICE', 'PAIN', 'UNRESPONSIVE');
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "arrivedAt" TIMESTAMP(3),
+ADD COLUMN     "waitAlertedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "TriageAssessment" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "acuity" INTEGER NOT NULL,
+    "chiefComplaint" TEXT NOT NULL,
+    "heartRate" INTEGER,
+    "respiratoryRate" INTEGER,
+    "systolicBp" INTEGER,
+    "diastolicBp" INTEGER,
+    "temperature" DOUBLE PRECISION,
+    "oxygenSaturation" INTEGER,
+    "painScore" INTEGER,
+    "consciousness" "Consciousness",
+    "notes" TEXT,
+    "assessedById" TEXT NOT NULL,
+    "assessedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TriageAssessment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TriageAssessment_appointmentId_assessedAt_idx" ON "TriageAssessment"("appointmentId", "assessedAt");
+
+-- AddForeignKey
+ALTER TABLE "TriageAssessment" ADD CONSTRAINT "TriageAssessment_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TriageAssessment" ADD CONSTRAINT "TriageAssessment_assessedById_fkey" FOREIGN KEY ("assessedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
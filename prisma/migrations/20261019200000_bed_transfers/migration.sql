@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "BedStay" (
+    "id" TEXT NOT NULL,
+    "admissionId" TEXT NOT NULL,
+    "bedId" TEXT NOT NULL,
+    "ward" "WardType" NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+    "reason" TEXT,
+    "authorizedById" TEXT,
+    "recordedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BedStay_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BedStay_admissionId_startedAt_idx" ON "BedStay"("admissionId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "BedStay_bedId_idx" ON "BedStay"("bedId");
+
+-- AddForeignKey
+ALTER TABLE "BedStay" ADD CONSTRAINT "BedStay_admissionId_fkey" FOREIGN KEY ("admissionId") REFERENCES "Admission"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedStay" ADD CONSTRAINT "BedStay_bedId_fkey" FOREIGN KEY ("bedId") REFERENCES "Bed"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedStay" ADD CONSTRAINT "BedStay_authorizedById_fkey" FOREIGN KEY ("authorizedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedStay" ADD CONSTRAINT "BedStay_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing admissions get a single segment in their current bed
+INSERT INTO "BedStay" ("id", "admissionId", "bedId", "ward", "startedAt", "endedAt", "reason", "authorizedById")
+SELECT gen_random_uuid()::text, a."id", a."bedId", b."ward", a."admissionDate", a."dischargeDate", 'Admitted', a."doctorId"
+FROM "Admission" a
+JOIN "Bed" b ON b."id" = a."bedId";
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Admission" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Bed" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Admission_bedId_idx" ON "Admission"("bedId");
+
+-- CreateIndex
+CREATE INDEX "Admission_patientId_idx" ON "Admission"("patientId");
+
+-- At most one ACTIVE admission per bed and per patient. Prisma cannot express partial
+-- indexes, so these live only in the migration; violations surface as P2002.
+CREATE UNIQUE INDEX "Admission_bedId_active_key" ON "Admission"("bedId") WHERE "status" = 'ACTIVE';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Admission_patientId_active_key" ON "Admission"("patientId") WHERE "status" = 'ACTIVE';
@@ -0,0 +1,47 @@
+-- AlterEnum
+ALTER TYPE "BedStatus" ADD VALUE 'RESERVED';
+
+-- CreateEnum
+CREATE TYPE "ReservationStatus" AS ENUM ('ACTIVE', 'CONVERTED', 'EXPIRED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "BedReservation" (
+    "id" TEXT NOT NULL,
+    "bedId" TEXT NOT NULL,
+    "patientId" TEXT,
+    "placeholderName" TEXT,
+    "expectedArrival" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "status" "ReservationStatus" NOT NULL DEFAULT 'ACTIVE',
+    "notes" TEXT,
+    "reservedById" TEXT NOT NULL,
+    "admissionId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BedReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BedReservation_admissionId_key" ON "BedReservation"("admissionId");
+
+-- CreateIndex
+CREATE INDEX "BedReservation_bedId_status_idx" ON "BedReservation"("bedId", "status");
+
+-- CreateIndex
+CREATE INDEX "BedReservation_status_expiresAt_idx" ON "BedReservation"("status", "expiresAt");
+
+-- At most one ACTIVE reservation per bed (partial index, not expressible in the Prisma schema)
+CREATE UNIQUE INDEX "BedReservation_bedId_active_key" ON "BedReservation"("bedId") WHERE "status" = 'ACTIVE';
+
+-- AddForeignKey
+ALTER TABLE "BedReservation" ADD CONSTRAINT "BedReservation_bedId_fkey" FOREIGN KEY ("bedId") REFERENCES "Bed"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedReservation" ADD CONSTRAINT "BedReservation_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedReservation" ADD CONSTRAINT "BedReservation_reservedById_fkey" FOREIGN KEY ("reservedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedReservation" ADD CONSTRAINT "BedReservation_admissionId_fkey" FOREIGN KEY ("admissionId") REFERENCES "Admission"("id") ON DELETE SET NULL ON UPDATE CASCADE;
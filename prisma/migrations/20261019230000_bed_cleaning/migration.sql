@@ -0,0 +1,41 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'HOUSEKEEPING';
+
+-- AlterEnum
+ALTER TYPE "BedStatus" ADD VALUE 'CLEANING';
+
+-- CreateTable
+CREATE TABLE "BedCleaning" (
+    "id" TEXT NOT NULL,
+    "bedId" TEXT NOT NULL,
+    "ward" "WardType" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "admissionId" TEXT,
+    "vacatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "claimedById" TEXT,
+    "claimedAt" TIMESTAMP(3),
+    "completedById" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BedCleaning_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BedCleaning_bedId_completedAt_idx" ON "BedCleaning"("bedId", "completedAt");
+
+-- CreateIndex
+CREATE INDEX "BedCleaning_ward_completedAt_idx" ON "BedCleaning"("ward", "completedAt");
+
+-- AddForeignKey
+ALTER TABLE "BedCleaning" ADD CONSTRAINT "BedCleaning_bedId_fkey" FOREIGN KEY ("bedId") REFERENCES "Bed"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedCleaning" ADD CONSTRAINT "BedCleaning_admissionId_fkey" FOREIGN KEY ("admissionId") REFERENCES "Admission"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedCleaning" ADD CONSTRAINT "BedCleaning_claimedById_fkey" FOREIGN KEY ("claimedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BedCleaning" ADD CONSTRAINT "BedCleaning_completedById_fkey" FOREIGN KEY ("completedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,73 @@
+-- CreateTable
+CREATE TABLE "Ward" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "WardType" NOT NULL,
+    "floor" INTEGER NOT NULL,
+    "nurseStation" TEXT,
+    "minAgeYears" INTEGER,
+    "maxAgeYears" INTEGER,
+    "singleGenderBays" BOOLEAN NOT NULL DEFAULT false,
+    "isolationCapable" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Ward_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Room" (
+    "id" TEXT NOT NULL,
+    "wardId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "isolation" BOOLEAN NOT NULL DEFAULT false,
+    "gender" "Gender",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Room_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Bed" ADD COLUMN "roomId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Admission" ADD COLUMN "isolationRequired" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Ward_name_key" ON "Ward"("name");
+
+-- CreateIndex
+CREATE INDEX "Ward_type_idx" ON "Ward"("type");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Room_wardId_name_key" ON "Room"("wardId", "name");
+
+-- CreateIndex
+CREATE INDEX "Bed_roomId_idx" ON "Bed"("roomId");
+
+-- AddForeignKey
+ALTER TABLE "Room" ADD CONSTRAINT "Room_wardId_fkey" FOREIGN KEY ("wardId") REFERENCES "Ward"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Bed" ADD CONSTRAINT "Bed_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: one ward with a single room per ward type that already has beds.
+-- Pediatric wards get their age limit; everything else is left for staff to configure.
+INSERT INTO "Ward" ("id", "name", "type", "floor", "maxAgeYears", "updatedAt")
+SELECT gen_random_uuid()::text, initcap(b."ward"::text), b."ward", 0,
+       CASE WHEN b."ward" = 'PEDIATRIC' THEN 17 END, CURRENT_TIMESTAMP
+FROM (SELECT DISTINCT "ward" FROM "Bed") b;
+
+INSERT INTO "Room" ("id", "wardId", "name", "capacity", "updatedAt")
+SELECT gen_random_uuid()::text, w."id", 'Main', (SELECT count(*) FROM "Bed" b WHERE b."ward" = w."type"), CURRENT_TIMESTAMP
+FROM "Ward" w;
+
+UPDATE "Bed" b
+SET "roomId" = r."id"
+FROM "Room" r
+JOIN "Ward" w ON w."id" = r."wardId"
+WHERE w."type" = b."ward";
+
+ALTER TABLE "Bed" ALTER COLUMN "roomId" SET NOT NULL;
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Admission_dischargeDate_idx" ON "Admission"("dischargeDate");
+
+-- CreateIndex
+CREATE INDEX "BedStay_startedAt_endedAt_idx" ON "BedStay"("startedAt", "endedAt");
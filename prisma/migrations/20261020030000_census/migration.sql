@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "CensusEntry" (
+    "id" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "bedId" TEXT,
+    "bedNumber" TEXT NOT NULL,
+    "ward" "WardType" NOT NULL,
+    "status" "BedStatus" NOT NULL,
+    "patientId" TEXT,
+    "admissionId" TEXT,
+    "backfilled" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CensusEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CensusEntry_date_bedId_key" ON "CensusEntry"("date", "bedId");
+
+-- CreateIndex
+CREATE INDEX "CensusEntry_date_ward_idx" ON "CensusEntry"("date", "ward");
+
+-- AddForeignKey
+ALTER TABLE "CensusEntry" ADD CONSTRAINT "CensusEntry_bedId_fkey" FOREIGN KEY ("bedId") REFERENCES "Bed"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CensusEntry" ADD CONSTRAINT "CensusEntry_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CensusEntry" ADD CONSTRAINT "CensusEntry_admissionId_fkey" FOREIGN KEY ("admissionId") REFERENCES "Admission"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "DischargeSummary" (
+    "id" TEXT NOT NULL,
+    "admissionId" TEXT NOT NULL,
+    "diagnosis" TEXT NOT NULL,
+    "procedures" TEXT[],
+    "medications" JSONB NOT NULL,
+    "followUpInstructions" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DischargeSummary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DischargeSummary_admissionId_key" ON "DischargeSummary"("admissionId");
+
+-- AddForeignKey
+ALTER TABLE "DischargeSummary" ADD CONSTRAINT "DischargeSummary_admissionId_fkey" FOREIGN KEY ("admissionId") REFERENCES "Admission"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DischargeSummary" ADD CONSTRAINT "DischargeSummary_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
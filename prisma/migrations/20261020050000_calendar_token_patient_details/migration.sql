@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CalendarToken" ADD COLUMN     "includePatientDetails" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BedCleaning" ADD COLUMN     "cancelledAt" TIMESTAMP(3);
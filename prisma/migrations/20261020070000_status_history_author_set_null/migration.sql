@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "AppointmentStatusHistory" DROP CONSTRAINT "AppointmentStatusHistory_changedById_fkey";
+
+-- AddForeignKey
+ALTER TABLE "AppointmentStatusHistory" ADD CONSTRAINT "AppointmentStatusHistory_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
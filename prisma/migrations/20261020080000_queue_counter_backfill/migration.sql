@@ -0,0 +1,9 @@
+-- Continue numbering after the queue numbers already handed out, so bookings made on
+-- the day of the deploy do not reuse them
+INSERT INTO "QueueCounter" ("doctorId", "date", "lastNumber")
+SELECT "doctorId", date_trunc('day', "date"), MAX("queueNumber")
+FROM "Appointment"
+WHERE "queueNumber" IS NOT NULL
+GROUP BY 1, 2
+ON CONFLICT ("doctorId", "date")
+DO UPDATE SET "lastNumber" = GREATEST("QueueCounter"."lastNumber", EXCLUDED."lastNumber");
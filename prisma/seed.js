@@ -46,6 +46,37 @@ async function main() {
   
   console.log('✓ Users seeded');
   
+  // Create weekday schedules for the sample doctors (09:00-17:00 with a lunch break)
+  for (const user of users.filter(user => user.role === 'DOCTOR')) {
+    const schedule = await prisma.doctorSchedule.upsert({
+      where: { doctorId: user.id },
+      update: { slotMinutes: 15 },
+      create: { doctorId: user.id, slotMinutes: 15 }
+    });
+    
+    await prisma.workingHours.deleteMany({ where: { scheduleId: schedule.id } });
+    await prisma.scheduleBreak.deleteMany({ where: { scheduleId: schedule.id } });
+    
+    await prisma.workingHours.createMany({
+      data: [1, 2, 3, 4, 5].map(dayOfWeek => ({
+        scheduleId: schedule.id,
+        dayOfWeek,
+        startTime: '09:00',
+        endTime: '17:00'
+      }))
+    });
+    
+    await prisma.scheduleBreak.create({
+      data: {
+        scheduleId: schedule.id,
+        startTime: '12:00',
+        endTime: '13:00'
+      }
+    });
+  }
+  
+  console.log('✓ Doctor schedules seeded');
+  
   // Create sample patients
   const patients = [
     {
@@ -91,21 +122,56 @@ async function main() {
   
   console.log('✓ Patients seeded');
   
-  // Create sample beds
-  const wards = ['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC'];
+  // Create sample wards with five rooms each, one bed per room to start with
+  const wards = [
+    { name: 'General Ward', type: 'GENERAL', floor: 1, minAgeYears: 18, singleGenderBays: true },
+    { name: 'Intensive Care Unit', type: 'ICU', floor: 2, isolationCapable: true },
+    { name: 'Emergency Department', type: 'EMERGENCY', floor: 0, isolationCapable: true },
+    { name: 'Pediatric Ward', type: 'PEDIATRIC', floor: 3, maxAgeYears: 17 },
+    { name: 'Maternity Ward', type: 'MATERNITY', floor: 3 },
+    { name: 'Psychiatric Ward', type: 'PSYCHIATRIC', floor: 4, minAgeYears: 18, singleGenderBays: true }
+  ];
   
-  for (let ward = 0; ward < wards.length; ward++) {
-    for (let room = 1; room <= 5; room++) {
-      const bedNumber = `${String.fromCharCode(65 + ward)}-${room}01`;
+  for (let index = 0; index < wards.length; index++) {
+    const wardData = { ...wards[index], nurseStation: `${wards[index].name} station` };
+    const ward = await prisma.ward.upsert({
+      where: { name: wardData.name },
+      update: wardData,
+      create: wardData
+    });
+    const prefix = String.fromCharCode(65 + index);
+    
+    for (let number = 1; number <= 5; number++) {
+      // The last room of an isolation-capable ward is its isolation room
+      const isolation = ward.isolationCapable && number === 5;
+      const room = await prisma.room.upsert({
+        where: { wardId_name: { wardId: ward.id, name: `${prefix}-${number}` } },
+        update: {
+          capacity: isolation ? 1 : 2,
+          isolation,
+          gender: ward.type === 'MATERNITY' ? 'FEMALE' : null
+        },
+        create: {
+          wardId: ward.id,
+          name: `${prefix}-${number}`,
+          capacity: isolation ? 1 : 2,
+          isolation,
+          gender: ward.type === 'MATERNITY' ? 'FEMALE' : null
+        }
+      });
+      
+      const bedNumber = `${prefix}-${number}01`;
       await prisma.bed.upsert({
         where: { bedNumber },
         update: {
-          ward: wards[ward],
+          ward: ward.type,
+          roomId: room.id,
           status: 'AVAILABLE'
         },
         create: {
           bedNumber,
-          ward: wards[ward],
+          ward: ward.type,
+          roomId: room.id,
           status: 'AVAILABLE'
         }
       });
@@ -216,7 +282,11 @@ async function main() {
   const patients2 = await prisma.patient.findMany();
   const beds = await prisma.bed.findMany({
     where: {
-      status: 'AVAILABLE'
+      status: 'AVAILABLE',
+      ward: 'GENERAL'
+    },
+    orderBy: {
+      bedNumber: 'asc'
     },
     take: 1
   });
@@ -234,15 +304,26 @@ async function main() {
       }
     });
     
-    // Create admission
+    // Create admission with its first bed segment
+    const admissionDate = new Date();
+    
     await prisma.admission.create({
       data: {
         patientId: patients2[0].id,
         bedId: beds[0].id,
         doctorId: doctors[0].id,
-        admissionDate: new Date(),
+        admissionDate,
         diagnosis: 'Pneumonia',
-        status: 'ACTIVE'
+        status: 'ACTIVE',
+        stays: {
+          create: {
+            bedId: beds[0].id,
+            ward: beds[0].ward,
+            startedAt: admissionDate,
+            reason: 'Admitted',
+            authorizedById: doctors[0].id
+          }
+        }
       }
     });
     
@@ -5,6 +5,7 @@ import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { PrismaClient } from '@prisma/client';
 import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
+import { resolveUser } from './middleware/authorize.js';
 
 
 // Import routes
@@ -15,6 +16,16 @@ import admissionRoutes from './routes/admissions.js';
 import inventoryRoutes from './routes/inventory.js';
 import dashboardRoutes from './routes/dashboard.js';
 import userRoutes from './routes/users.js';
+import webhookRoutes from './routes/webhooks.js';
+import eventRoutes from './routes/events.js';
+import calendarRoutes from './routes/calendar.js';
+import waitlistRoutes from './routes/waitlist.js';
+import triageRoutes from './routes/triage.js';
+import reservationRoutes from './routes/reservations.js';
+import housekeepingRoutes from './routes/housekeeping.js';
+import wardRoutes from './routes/wards.js';
+import { startJobs, stopJobs } from './jobs/index.js';
+import { checkPartialIndexes } from './services/schemaGuards.js';
 
 // Load environment variables
 dotenv.config();
@@ -30,6 +41,10 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
+
+// Webhooks verify signatures against the raw body, so mount them before JSON parsing
+app.use('/api/webhooks', webhookRoutes);
+
 app.use(express.json());
 
 // Root route
@@ -47,14 +62,23 @@ app.use((req, res, next) => {
   next();
 });
 
-// Protected routes with Clerk authentication
-app.use('/api/dashboard', ClerkExpressRequireAuth(), dashboardRoutes);
-app.use('/api/patients', ClerkExpressRequireAuth(), patientRoutes);
-app.use('/api/appointments', ClerkExpressRequireAuth(), appointmentRoutes);
-app.use('/api/beds', ClerkExpressRequireAuth(), bedRoutes);
-app.use('/api/admissions', ClerkExpressRequireAuth(), admissionRoutes);
-app.use('/api/inventory', ClerkExpressRequireAuth(), inventoryRoutes);
-app.use('/api/users', ClerkExpressRequireAuth(), userRoutes);
+// Calendar feeds authenticate with their own revocable tokens
+app.use('/api/calendar', calendarRoutes);
+
+// Protected routes with Clerk authentication and role-based authorization
+app.use('/api/dashboard', ClerkExpressRequireAuth(), resolveUser, dashboardRoutes);
+app.use('/api/patients', ClerkExpressRequireAuth(), resolveUser, patientRoutes);
+app.use('/api/appointments', ClerkExpressRequireAuth(), resolveUser, appointmentRoutes);
+app.use('/api/beds', ClerkExpressRequireAuth(), resolveUser, bedRoutes);
+app.use('/api/admissions', ClerkExpressRequireAuth(), resolveUser, admissionRoutes);
+app.use('/api/inventory', ClerkExpressRequireAuth(), resolveUser, inventoryRoutes);
+app.use('/api/users', ClerkExpressRequireAuth(), resolveUser, userRoutes);
+app.use('/api/events', ClerkExpressRequireAuth(), resolveUser, eventRoutes);
+app.use('/api/waitlist', ClerkExpressRequireAuth(), resolveUser, waitlistRoutes);
+app.use('/api/triage', ClerkExpressRequireAuth(), resolveUser, triageRoutes);
+app.use('/api/reservations', ClerkExpressRequireAuth(), resolveUser, reservationRoutes);
+app.use('/api/housekeeping', ClerkExpressRequireAuth(), resolveUser, housekeepingRoutes);
+app.use('/api/wards', ClerkExpressRequireAuth(), resolveUser, wardRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -67,13 +91,23 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start the server, unless the indexes that keep beds from being double-booked are missing
+checkPartialIndexes()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      startJobs();
+    });
+  })
+  .catch(async (error) => {
+    console.error('Refusing to start:', error.message);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
 
 // Graceful shutdown
 const cleanup = async () => {
+  stopJobs();
   await prisma.$disconnect();
   console.log('💫 Server shutting down...');
   process.exit(0);
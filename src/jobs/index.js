@@ -0,0 +1,28 @@
+import { every, stopJobs } from './scheduler.js';
+import { expireWaitlist } from '../services/waitlist.js';
+import { markNoShows } from '../services/attendance.js';
+import { processReminders } from '../services/reminders.js';
+import { checkWaitBreaches } from '../services/triage.js';
+import { expireReservations } from '../services/reservations.js';
+import { checkBedConsistency } from '../services/bedReconciliation.js';
+import { takeDueCensus } from '../services/census.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Background jobs started with the server. Set DISABLE_JOBS=true to run an
+// instance that only serves requests.
+export const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    return;
+  }
+
+  every('waitlist-expiry', MINUTE_MS, expireWaitlist);
+  every('no-show-sweep', 15 * MINUTE_MS, markNoShows);
+  every('appointment-reminders', MINUTE_MS, processReminders);
+  every('triage-wait-alerts', MINUTE_MS, checkWaitBreaches);
+  every('reservation-expiry', MINUTE_MS, expireReservations);
+  every('bed-consistency-check', 60 * MINUTE_MS, checkBedConsistency);
+  every('midnight-census', 5 * MINUTE_MS, takeDueCensus);
+};
+
+export { stopJobs };
@@ -0,0 +1,32 @@
+// Minimal in-process job runner for periodic maintenance tasks.
+// A run is skipped while the previous one is still in progress.
+const timers = [];
+
+export const every = (name, intervalMs, task) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job "${name}" failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.push(timer);
+
+  return run;
+};
+
+export const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
@@ -0,0 +1,72 @@
+import { prisma } from '../index.js';
+
+export const ROLES = ['ADMIN', 'DOCTOR', 'RECEPTIONIST', 'INVENTORY_MANAGER', 'HOUSEKEEPING'];
+
+// Resolve the Clerk session to a staff User row and attach it as req.user
+export const resolveUser = async (req, res, next) => {
+  if (!req.auth || !req.auth.userId) {
+    return res.status(401).json({ error: true, message: 'Unauthenticated request' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: {
+        id: req.auth.userId
+      }
+    });
+
+    if (!user) {
+      return res.status(403).json({
+        error: true,
+        message: 'No staff account is linked to this user'
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        error: true,
+        message: 'This staff account has been deactivated'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+};
+
+// Build one middleware per action from a router's permission matrix,
+// e.g. definePermissions('patients', { list: ['ADMIN', 'DOCTOR'], delete: ['ADMIN'] })
+export const definePermissions = (resource, matrix) => {
+  const permissions = {};
+
+  Object.entries(matrix).forEach(([action, roles]) => {
+    roles.forEach(role => {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}" in ${resource} permissions`);
+      }
+    });
+
+    permissions[action] = (req, res, next) => {
+      if (!req.user) {
+        return res.status(403).json({
+          error: true,
+          message: 'No staff account is linked to this user'
+        });
+      }
+
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+          error: true,
+          message: `Role ${req.user.role} is not permitted to ${action} ${resource}`,
+          requiredRoles: roles
+        });
+      }
+
+      next();
+    };
+  });
+
+  return permissions;
+};
@@ -1,11 +1,63 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { publish } from '../services/events.js';
+import { conflictError, ifMatchFails, setETag, updateVersioned } from '../services/concurrency.js';
+import { dischargeSummaryData, dischargeSummaryInclude, renderDischargeSummary } from '../services/dischargeSummary.js';
+import { vacateBed } from '../services/housekeeping.js';
+import { bedPlacementInclude, checkPlacement } from '../services/wards.js';
 
 const router = express.Router();
 
+// Role permission matrix for admissions routes
+const can = definePermissions('admissions', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  create: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  update: ['ADMIN', 'DOCTOR'],
+  delete: ['ADMIN']
+});
+
+// Bed segments of an admission, in the order the patient moved through them
+const stayInclude = {
+  include: {
+    bed: true,
+    authorizedBy: {
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true
+      }
+    }
+  },
+  orderBy: {
+    startedAt: 'asc'
+  }
+};
+
+// Validation of a discharge summary, either the whole body or the object under `prefix`.
+// Under a prefix the summary is optional, but once given it must be complete.
+const dischargeSummaryRules = (prefix) => {
+  const field = (name) => (prefix ? body(`${prefix}.${name}`).if(body(prefix).exists()) : body(name));
+  
+  return [
+    ...(prefix ? [body(prefix).optional().isObject().withMessage('Discharge summary must be an object')] : []),
+    field('diagnosis').trim().notEmpty().withMessage('Discharge diagnosis is required'),
+    field('procedures').optional().isArray().withMessage('Procedures must be a list'),
+    field('procedures.*').trim().notEmpty().withMessage('Procedures cannot be empty'),
+    field('medications').optional().isArray().withMessage('Medications must be a list'),
+    field('medications.*.name').trim().notEmpty().withMessage('Each medication needs a name'),
+    field('medications.*.dose').optional({ nullable: true }).isString().withMessage('Medication dose must be text').trim(),
+    field('medications.*.frequency').optional({ nullable: true }).isString().withMessage('Medication frequency must be text').trim(),
+    field('medications.*.duration').optional({ nullable: true }).isString().withMessage('Medication duration must be text').trim(),
+    field('medications.*.notes').optional({ nullable: true }).isString().withMessage('Medication notes must be text').trim(),
+    field('followUpInstructions').trim().notEmpty().withMessage('Follow-up instructions are required')
+  ];
+};
+
 // Get all admissions
-router.get('/', async (req, res) => {
+router.get('/', can.list, async (req, res) => {
   try {
     const admissions = await prisma.admission.findMany({
       include: {
@@ -24,7 +76,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get active admissions
-router.get('/active', async (req, res) => {
+router.get('/active', can.list, async (req, res) => {
   try {
     const admissions = await prisma.admission.findMany({
       where: {
@@ -46,7 +98,8 @@ router.get('/active', async (req, res) => {
 });
 
 // Get a single admission by ID
-router.get('/:id', 
+router.get('/:id',
+  can.view,
   param('id').isUUID().withMessage('Invalid admission ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -62,7 +115,9 @@ router.get('/:id',
         include: {
           patient: true,
           doctor: true,
-          bed: true
+          bed: true,
+          stays: stayInclude,
+          dischargeSummary: true
         }
       });
       
@@ -70,6 +125,7 @@ router.get('/:id',
         return res.status(404).json({ error: true, message: 'Admission not found' });
       }
       
+      setETag(res, admission);
       res.json(admission);
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
@@ -78,11 +134,14 @@ router.get('/:id',
 
 // Create a new admission
 router.post('/',
+  can.create,
   [
     body('patientId').isUUID().withMessage('Valid patient ID is required'),
-    body('bedId').isUUID().withMessage('Valid bed ID is required'),
-    body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
-    body('admissionDate').isDate().withMessage('Valid admission date is required')
+    body('bedId').optional().isUUID().withMessage('Valid bed ID is required'),
+    body('reservationId').optional().isUUID().withMessage('Valid reservation ID is required'),
+    body('doctorId').notEmpty().withMessage('Valid doctor ID is required'),
+    body('admissionDate').isDate().withMessage('Valid admission date is required'),
+    body('isolationRequired').optional().isBoolean().withMessage('isolationRequired must be true or false').toBoolean()
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -90,6 +149,10 @@ router.post('/',
       return res.status(400).json({ errors: errors.array() });
     }
     
+    if (!req.body.bedId && !req.body.reservationId) {
+      return res.status(400).json({ error: true, message: 'Valid bed ID or reservation ID is required' });
+    }
+    
     try {
       // Check if patient exists
       const patient = await prisma.patient.findUnique({
@@ -102,18 +165,53 @@ router.post('/',
         return res.status(400).json({ error: true, message: 'Patient not found' });
       }
       
+      // A reservation converts into this admission and supplies the bed
+      let reservation = null;
+      
+      if (req.body.reservationId) {
+        reservation = await prisma.bedReservation.findUnique({
+          where: {
+            id: req.body.reservationId
+          }
+        });
+        
+        if (!reservation) {
+          return res.status(400).json({ error: true, message: 'Reservation not found' });
+        }
+        
+        if (reservation.status !== 'ACTIVE') {
+          return res.status(409).json({ error: true, message: `Reservation is ${reservation.status}` });
+        }
+        
+        if (req.body.bedId && req.body.bedId !== reservation.bedId) {
+          return res.status(400).json({ error: true, message: 'Reservation is for a different bed' });
+        }
+        
+        if (reservation.patientId && reservation.patientId !== req.body.patientId) {
+          return res.status(400).json({ error: true, message: 'Reservation is held for a different patient' });
+        }
+      }
+      
+      const bedId = reservation ? reservation.bedId : req.body.bedId;
+      const bedStatus = reservation ? 'RESERVED' : 'AVAILABLE';
+      
       // Check if bed exists and is available
       const bed = await prisma.bed.findUnique({
         where: {
-          id: req.body.bedId
-        }
+          id: bedId
+        },
+        include: bedPlacementInclude
       });
       
       if (!bed) {
         return res.status(400).json({ error: true, message: 'Bed not found' });
       }
       
-      if (bed.status !== 'AVAILABLE') {
+      if (bed.status === 'RESERVED' && !reservation) {
+        return res.status(400).json({ error: true, message: 'Bed is reserved; pass the reservationId to admit into it' });
+      }
+      
+      if (bed.status !== bedStatus) {
         return res.status(400).json({ error: true, message: 'Bed is not available' });
       }
       
@@ -128,6 +226,10 @@ router.post('/',
         return res.status(400).json({ error: true, message: 'Valid doctor not found' });
       }
       
+      if (!doctor.active) {
+        return res.status(400).json({ error: true, message: 'Doctor account is deactivated' });
+      }
+      
       // Check for active admissions for this patient
       const activeAdmission = await prisma.admission.findFirst({
         where: {
@@ -143,23 +245,57 @@ router.post('/',
         });
       }
       
-      // Start a transaction to create the admission and update the bed status
+      // Age, gender and isolation rules of the bed's ward and room
+      const isolationRequired = req.body.isolationRequired || false;
+      const violations = await checkPlacement(prisma, {
+        patient,
+        bed,
+        isolationRequired,
+        at: new Date(req.body.admissionDate)
+      });
+      
+      if (violations.length > 0) {
+        return res.status(409).json({ error: true, message: 'Patient does not meet the rules of this bed', violations });
+      }
+      
+      // Start a transaction to create the admission and update the bed status.
+      // The checks above are repeated as conditional writes, since another admission
+      // may have claimed the bed or the patient since they ran.
       const newAdmission = await prisma.$transaction(async (prisma) => {
-        // Update bed status to occupied
-        await prisma.bed.update({
+        // Occupy the bed only if it is still available (or still held for this reservation)
+        const { count } = await prisma.bed.updateMany({
           where: {
-            id: req.body.bedId
+            id: bedId,
+            status: bedStatus
           },
           data: {
             status: 'OCCUPIED',
             patientId: req.body.patientId,
             admissionDate: new Date(req.body.admissionDate),
-            expectedDischargeDate: req.body.expectedDischargeDate ? new Date(req.body.expectedDischargeDate) : null
+            expectedDischargeDate: req.body.expectedDischargeDate ? new Date(req.body.expectedDischargeDate) : null,
+            version: {
+              increment: 1
+            }
           }
         });
         
+        if (count === 0) {
+          throw conflictError('Bed is no longer available');
+        }
+        
+        const concurrentAdmission = await prisma.admission.findFirst({
+          where: {
+            patientId: req.body.patientId,
+            status: 'ACTIVE'
+          }
+        });
+        
+        if (concurrentAdmission) {
+          throw conflictError('Patient already has an active admission');
+        }
+        
         // Create the admission
-        return prisma.admission.create({
+        const admission = await prisma.admission.create({
           data: {
             patient: {
               connect: {
@@ -168,7 +304,7 @@ router.post('/',
             },
             bed: {
               connect: {
-                id: req.body.bedId
+                id: bedId
               }
             },
             doctor: {
@@ -179,6 +315,7 @@ router.post('/',
             admissionDate: new Date(req.body.admissionDate),
             diagnosis: req.body.diagnosis,
             notes: req.body.notes,
+            isolationRequired,
             status: 'ACTIVE'
           },
           include: {
@@ -187,19 +324,69 @@ router.post('/',
             bed: true
           }
         });
+        
+        if (reservation) {
+          const converted = await prisma.bedReservation.updateMany({
+            where: {
+              id: reservation.id,
+              status: 'ACTIVE'
+            },
+            data: {
+              status: 'CONVERTED',
+              admissionId: admission.id
+            }
+          });
+          
+          if (converted.count === 0) {
+            throw conflictError('Reservation is no longer active');
+          }
+        }
+        
+        // Open the first bed segment of the stay
+        await prisma.bedStay.create({
+          data: {
+            admissionId: admission.id,
+            bedId: admission.bedId,
+            ward: admission.bed.ward,
+            startedAt: admission.admissionDate,
+            reason: 'Admitted',
+            authorizedById: admission.doctorId,
+            recordedById: req.user.id
+          }
+        });
+        
+        return admission;
       });
       
+      publish('admission.created', newAdmission, { doctorId: newAdmission.doctorId, ward: newAdmission.bed.ward });
+      if (reservation) {
+        publish('reservation.converted', { reservationId: reservation.id, admissionId: newAdmission.id }, { ward: newAdmission.bed.ward });
+      }
+      publish('bed.status', newAdmission.bed, { ward: newAdmission.bed.ward });
+      
+      setETag(res, newAdmission);
       res.status(201).json(newAdmission);
     } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      // Backstop: the partial unique indexes allow one ACTIVE admission per bed and per patient
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: true, message: 'Bed or patient already has an active admission' });
+      }
+      
       res.status(500).json({ error: true, message: error.message });
     }
 });
 
 // Update an admission (e.g., discharge a patient)
 router.put('/:id',
+  can.update,
   [
     param('id').isUUID().withMessage('Invalid admission ID'),
-    body('status').optional().isIn(['ACTIVE', 'DISCHARGED', 'TRANSFERRED']).withMessage('Valid status is required')
+    body('status').optional().isIn(['ACTIVE', 'DISCHARGED', 'TRANSFERRED']).withMessage('Valid status is required'),
+    ...dischargeSummaryRules('summary')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -222,19 +409,26 @@ router.put('/:id',
         return res.status(404).json({ error: true, message: 'Admission not found' });
       }
       
+      if (ifMatchFails(req, admission)) {
+        setETag(res, admission);
+        return res.status(412).json({ error: true, message: 'Admission has changed since it was read' });
+      }
+      
       // Handle status changes that affect the bed
       if (req.body.status && req.body.status !== 'ACTIVE' && admission.status === 'ACTIVE') {
-        // Discharge or transfer: update both admission and free the bed
+        // Discharge or transfer out of the hospital: update the admission and send the bed for cleaning.
+        // Moves between beds go through POST /:id/transfer and keep the admission ACTIVE.
+        const dischargeDate = req.body.dischargeDate ? new Date(req.body.dischargeDate) : new Date();
+        
         const updatedAdmission = await prisma.$transaction(async (prisma) => {
           // Update admission
-          const updated = await prisma.admission.update({
+          const updated = await updateVersioned(prisma.admission, admission, {
+            status: req.body.status,
+            dischargeDate,
+            notes: req.body.notes || admission.notes
+          }, {
             where: {
-              id: req.params.id
-            },
-            data: {
-              status: req.body.status,
-              dischargeDate: req.body.dischargeDate ? new Date(req.body.dischargeDate) : new Date(),
-              notes: req.body.notes || admission.notes
+              status: 'ACTIVE'
             },
             include: {
               patient: true,
@@ -243,34 +437,55 @@ router.put('/:id',
             }
           });
           
-          // Free up the bed
-          await prisma.bed.update({
+          // The bed goes to housekeeping before it can be used again
+          const bed = await vacateBed(prisma, admission.bedId, {
+            reason: req.body.status,
+            admissionId: admission.id
+          });
+          
+          await prisma.bedStay.updateMany({
             where: {
-              id: admission.bedId
+              admissionId: admission.id,
+              endedAt: null
             },
             data: {
-              status: 'AVAILABLE',
-              patientId: null,
-              admissionDate: null,
-              expectedDischargeDate: null
+              endedAt: dischargeDate
             }
           });
           
-          return updated;
+          // The discharge letter, if written now; otherwise PUT /:id/discharge-summary later
+          const dischargeSummary = req.body.summary
+            ? await prisma.dischargeSummary.create({
+              data: {
+                admissionId: admission.id,
+                authorId: req.user.id,
+                ...dischargeSummaryData(req.body.summary)
+              }
+            })
+            : null;
+          
+          return { ...updated, bed, dischargeSummary };
+        });
+        
+        publish('admission.discharged', updatedAdmission, {
+          doctorId: updatedAdmission.doctorId,
+          ward: updatedAdmission.bed.ward
         });
+        publish('bed.status', updatedAdmission.bed, { ward: updatedAdmission.bed.ward });
         
+        setETag(res, updatedAdmission);
         return res.json(updatedAdmission);
       }
       
+      if (req.body.summary) {
+        return res.status(400).json({ error: true, message: 'A summary can only be given when discharging; use PUT /:id/discharge-summary' });
+      }
+      
       // Simple update with no status change affecting bed
-      const updatedAdmission = await prisma.admission.update({
-        where: {
-          id: req.params.id
-        },
-        data: {
-          diagnosis: req.body.diagnosis || admission.diagnosis,
-          notes: req.body.notes || admission.notes
-        },
+      const updatedAdmission = await updateVersioned(prisma.admission, admission, {
+        diagnosis: req.body.diagnosis || admission.diagnosis,
+        notes: req.body.notes || admission.notes
+      }, {
         include: {
           patient: true,
           doctor: true,
@@ -278,14 +493,321 @@ router.put('/:id',
         }
       });
       
+      setETag(res, updatedAdmission);
       res.json(updatedAdmission);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get the bed path of an admission: every bed the patient occupied, with timestamps
+router.get('/:id/bed-history',
+  can.view,
+  param('id').isUUID().withMessage('Invalid admission ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const admission = await prisma.admission.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          stays: stayInclude
+        }
+      });
+      
+      if (!admission) {
+        return res.status(404).json({ error: true, message: 'Admission not found' });
+      }
+      
+      const now = new Date();
+      
+      res.json({
+        admissionId: admission.id,
+        status: admission.status,
+        currentBedId: admission.status === 'ACTIVE' ? admission.bedId : null,
+        stays: admission.stays.map(stay => ({
+          ...stay,
+          durationMinutes: Math.round(((stay.endedAt || now) - stay.startedAt) / 60000)
+        }))
+      });
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
     }
 });
 
+// Write or amend the discharge summary of a discharged admission
+router.put('/:id/discharge-summary',
+  can.update,
+  [
+    param('id').isUUID().withMessage('Invalid admission ID'),
+    ...dischargeSummaryRules()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const admission = await prisma.admission.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+      
+      if (!admission) {
+        return res.status(404).json({ error: true, message: 'Admission not found' });
+      }
+      
+      if (admission.status === 'ACTIVE') {
+        return res.status(409).json({ error: true, message: 'Patient has not been discharged yet' });
+      }
+      
+      // Whoever saves the summary signs it
+      const data = {
+        authorId: req.user.id,
+        ...dischargeSummaryData(req.body)
+      };
+      
+      const dischargeSummary = await prisma.dischargeSummary.upsert({
+        where: {
+          admissionId: admission.id
+        },
+        create: {
+          admissionId: admission.id,
+          ...data
+        },
+        update: data
+      });
+      
+      res.json(dischargeSummary);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Printable discharge summary, rendered as a PDF
+router.get('/:id/discharge-summary.pdf',
+  can.view,
+  param('id').isUUID().withMessage('Invalid admission ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const admission = await prisma.admission.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: dischargeSummaryInclude
+      });
+      
+      if (!admission) {
+        return res.status(404).json({ error: true, message: 'Admission not found' });
+      }
+      
+      if (!admission.dischargeSummary) {
+        return res.status(404).json({ error: true, message: 'No discharge summary has been written for this admission' });
+      }
+      
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="discharge-summary-${admission.patient.mrn.replace(/[^\w-]/g, '')}.pdf"`,
+        'Cache-Control': 'private, no-store'
+      });
+      renderDischargeSummary(admission, res);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Move an admitted patient to another bed, keeping the admission ACTIVE
+router.post('/:id/transfer',
+  can.update,
+  [
+    param('id').isUUID().withMessage('Invalid admission ID'),
+    body('bedId').isUUID().withMessage('Valid target bed ID is required'),
+    body('reason').notEmpty().withMessage('Transfer reason is required'),
+    body('authorizedById').optional().notEmpty().withMessage('Valid authorizing doctor ID is required'),
+    body('transferredAt').optional().isISO8601().withMessage('Valid transfer time is required'),
+    body('isolationRequired').optional().isBoolean().withMessage('isolationRequired must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const admission = await prisma.admission.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          bed: true,
+          patient: true
+        }
+      });
+      
+      if (!admission) {
+        return res.status(404).json({ error: true, message: 'Admission not found' });
+      }
+      
+      if (admission.status !== 'ACTIVE') {
+        return res.status(409).json({ error: true, message: `Cannot transfer an admission that is ${admission.status}` });
+      }
+      
+      if (req.body.bedId === admission.bedId) {
+        return res.status(400).json({ error: true, message: 'Patient is already in this bed' });
+      }
+      
+      // Doctors authorize their own transfers; others must name the authorizing doctor
+      const authorizedById = req.body.authorizedById || (req.user.role === 'DOCTOR' ? req.user.id : null);
+      
+      if (!authorizedById) {
+        return res.status(400).json({ error: true, message: 'Authorizing doctor (authorizedById) is required' });
+      }
+      
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: authorizedById
+        }
+      });
+      
+      if (!doctor || doctor.role !== 'DOCTOR' || !doctor.active) {
+        return res.status(400).json({ error: true, message: 'Valid authorizing doctor not found' });
+      }
+      
+      const targetBed = await prisma.bed.findUnique({
+        where: {
+          id: req.body.bedId
+        },
+        include: bedPlacementInclude
+      });
+      
+      if (!targetBed) {
+        return res.status(404).json({ error: true, message: 'Target bed not found' });
+      }
+      
+      if (targetBed.status !== 'AVAILABLE') {
+        return res.status(409).json({ error: true, message: `Target bed is ${targetBed.status}` });
+      }
+      
+      const transferredAt = req.body.transferredAt ? new Date(req.body.transferredAt) : new Date();
+      const isolationRequired = req.body.isolationRequired ?? admission.isolationRequired;
+      
+      const violations = await checkPlacement(prisma, {
+        patient: admission.patient,
+        bed: targetBed,
+        isolationRequired,
+        at: transferredAt
+      });
+      
+      if (violations.length > 0) {
+        return res.status(409).json({ error: true, message: 'Patient does not meet the rules of the target bed', violations });
+      }
+      
+      const { updated, previousBed } = await prisma.$transaction(async (prisma) => {
+        // Claim the target bed only if it is still available
+        const { count } = await prisma.bed.updateMany({
+          where: {
+            id: targetBed.id,
+            status: 'AVAILABLE'
+          },
+          data: {
+            status: 'OCCUPIED',
+            patientId: admission.patientId,
+            admissionDate: admission.bed.admissionDate || admission.admissionDate,
+            expectedDischargeDate: admission.bed.expectedDischargeDate,
+            version: {
+              increment: 1
+            }
+          }
+        });
+        
+        if (count === 0) {
+          throw conflictError('Target bed was taken by another request');
+        }
+        
+        const previousBed = await vacateBed(prisma, admission.bedId, {
+          reason: 'BED_TRANSFER',
+          admissionId: admission.id
+        });
+        
+        await prisma.bedStay.updateMany({
+          where: {
+            admissionId: admission.id,
+            endedAt: null
+          },
+          data: {
+            endedAt: transferredAt
+          }
+        });
+        
+        await prisma.bedStay.create({
+          data: {
+            admissionId: admission.id,
+            bedId: targetBed.id,
+            ward: targetBed.ward,
+            startedAt: transferredAt,
+            reason: req.body.reason,
+            authorizedById,
+            recordedById: req.user.id
+          }
+        });
+        
+        // Fails if the admission was discharged or moved while this transfer ran
+        const updated = await updateVersioned(prisma.admission, admission, {
+          bedId: targetBed.id,
+          isolationRequired
+        }, {
+          where: {
+            status: 'ACTIVE'
+          },
+          include: {
+            patient: true,
+            doctor: true,
+            bed: true,
+            stays: stayInclude
+          }
+        });
+        
+        return { updated, previousBed };
+      });
+      
+      publish('admission.transferred', {
+        ...updated,
+        fromBedId: previousBed.id,
+        fromWard: previousBed.ward
+      }, { doctorId: updated.doctorId, ward: updated.bed.ward });
+      publish('bed.status', previousBed, { ward: previousBed.ward });
+      publish('bed.status', updated.bed, { ward: updated.bed.ward });
+      
+      setETag(res, updated);
+      res.json(updated);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
 // Delete an admission (admin only)
 router.delete('/:id',
+  can.delete,
   param('id').isUUID().withMessage('Invalid admission ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -317,7 +839,10 @@ router.delete('/:id',
               status: 'AVAILABLE',
               patientId: null,
               admissionDate: null,
-              expectedDischargeDate: null
+              expectedDischargeDate: null,
+              version: {
+                increment: 1
+              }
             }
           });
           
@@ -1,11 +1,29 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { dayRange, findBookingConflict } from '../services/availability.js';
+import { canTransition, changeAppointmentStatus, INITIAL_STATUSES, publishStatusChange, recordStatusChange, RELEASED_STATUSES, STATUS_TRANSITIONS } from '../services/appointmentStatus.js';
+import { allocateQueueNumber, getDoctorQueue, lockDoctorDay, publishQueue, publishQueueDays } from '../services/queue.js';
+import { conflictError } from '../services/concurrency.js';
+import { publish } from '../services/events.js';
+import { expandRRule, parseRRule } from '../services/recurrence.js';
+import { releaseSlot } from '../services/waitlist.js';
 
 const router = express.Router();
 
+// Role permission matrix for appointments routes
+const can = definePermissions('appointments', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  create: ['ADMIN', 'RECEPTIONIST'],
+  update: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  queue: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  delete: ['ADMIN']
+});
+
 // Get all appointments
-router.get('/', async (req, res) => {
+router.get('/', can.list, async (req, res) => {
   try {
     const appointments = await prisma.appointment.findMany({
       include: {
@@ -23,7 +41,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get appointments for today
-router.get('/today', async (req, res) => {
+router.get('/today', can.list, async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -58,8 +76,554 @@ router.get('/today', async (req, res) => {
   }
 });
 
+// Get a doctor's live queue for a day (defaults to today)
+router.get('/queue/:doctorId',
+  can.queue,
+  [
+    param('doctorId').notEmpty().withMessage('Invalid doctor ID'),
+    query('date').optional().isDate().withMessage('Valid date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const queue = await getDoctorQueue(req.params.doctorId, req.query.date ? new Date(req.query.date) : new Date());
+      res.json(queue);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Call the next waiting patient in to see the doctor
+router.post('/queue/:doctorId/call-next',
+  can.queue,
+  param('doctorId').notEmpty().withMessage('Invalid doctor ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const queue = await getDoctorQueue(req.params.doctorId, new Date());
+      
+      // Finish the current consultation first unless asked to complete it here
+      if (queue.current.length > 0 && !req.body.completeCurrent) {
+        return res.status(409).json({
+          error: true,
+          message: 'Doctor is still seeing a patient; complete the current appointment first or pass completeCurrent'
+        });
+      }
+      
+      if (queue.waiting.length === 0) {
+        return res.status(404).json({ error: true, message: 'No patients waiting in the queue' });
+      }
+      
+      const called = await prisma.$transaction(async (prisma) => {
+        for (const current of queue.current) {
+          await changeAppointmentStatus(prisma, current, 'COMPLETED', {
+            changedById: req.user.id,
+            reason: 'Completed when next patient was called'
+          });
+        }
+        
+        return changeAppointmentStatus(prisma, queue.waiting[0], 'IN_PROGRESS', {
+          changedById: req.user.id,
+          include: {
+            patient: true,
+            doctor: true
+          }
+        });
+      });
+      
+      queue.current.forEach(current => publishStatusChange({ ...current, status: 'COMPLETED' }, 'IN_PROGRESS'));
+      publishStatusChange(called, 'IN_QUEUE');
+      publishQueue(req.params.doctorId, new Date());
+      
+      res.json(called);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Set a waiting patient aside (e.g. stepped out); call-next passes over them
+router.post('/queue/:doctorId/skip',
+  can.queue,
+  [
+    param('doctorId').notEmpty().withMessage('Invalid doctor ID'),
+    body('appointmentId').isUUID().withMessage('Valid appointment ID is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { count } = await prisma.appointment.updateMany({
+        where: {
+          id: req.body.appointmentId,
+          doctorId: req.params.doctorId,
+          status: 'IN_QUEUE',
+          skippedAt: null
+        },
+        data: {
+          skippedAt: new Date()
+        }
+      });
+      
+      if (count === 0) {
+        return res.status(409).json({ error: true, message: 'Appointment is not waiting in this doctor\'s queue' });
+      }
+      
+      const queue = await getDoctorQueue(req.params.doctorId, new Date());
+      publish('queue.updated', queue, { doctorId: req.params.doctorId });
+      
+      res.json(queue);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Put a waiting or skipped patient at the end of the queue with a new number
+router.post('/queue/:doctorId/requeue',
+  can.queue,
+  [
+    param('doctorId').notEmpty().withMessage('Invalid doctor ID'),
+    body('appointmentId').isUUID().withMessage('Valid appointment ID is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const appointment = await prisma.appointment.findUnique({
+        where: {
+          id: req.body.appointmentId
+        }
+      });
+      
+      if (!appointment || appointment.doctorId !== req.params.doctorId || appointment.status !== 'IN_QUEUE') {
+        return res.status(409).json({ error: true, message: 'Appointment is not waiting in this doctor\'s queue' });
+      }
+      
+      const updatedAppointment = await prisma.$transaction(async (prisma) => {
+        const queueNumber = await allocateQueueNumber(prisma, appointment.doctorId, appointment.date);
+        
+        return prisma.appointment.update({
+          where: {
+            id: appointment.id
+          },
+          data: {
+            queueNumber,
+            skippedAt: null
+          },
+          include: {
+            patient: true,
+            doctor: true
+          }
+        });
+      });
+      
+      publishQueue(updatedAppointment.doctorId, updatedAppointment.date);
+      
+      res.json(updatedAppointment);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Create a recurring appointment series from an RRULE
+router.post('/series',
+  can.create,
+  [
+    body('patientId').isUUID().withMessage('Valid patient ID is required'),
+    body('doctorId').notEmpty().withMessage('Valid doctor ID is required'),
+    body('startDate').isDate().withMessage('Valid start date is required'),
+    body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time is required (HH:MM)'),
+    body('type').optional().isIn(['GENERAL', 'FOLLOW_UP', 'SPECIALIST', 'EMERGENCY']).withMessage('Valid type is required'),
+    body('rrule').notEmpty().withMessage('Recurrence rule is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    let occurrences;
+    
+    try {
+      occurrences = expandRRule(parseRRule(req.body.rrule), new Date(req.body.startDate));
+    } catch (error) {
+      return res.status(400).json({ error: true, message: `Invalid recurrence rule: ${error.message}` });
+    }
+    
+    if (occurrences.length === 0) {
+      return res.status(400).json({ error: true, message: 'Recurrence rule produces no appointments' });
+    }
+    
+    try {
+      // Check if patient exists
+      const patient = await prisma.patient.findUnique({
+        where: {
+          id: req.body.patientId
+        }
+      });
+      
+      if (!patient) {
+        return res.status(400).json({ error: true, message: 'Patient not found' });
+      }
+      
+      // Check if doctor exists
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: req.body.doctorId
+        }
+      });
+      
+      if (!doctor || doctor.role !== 'DOCTOR') {
+        return res.status(400).json({ error: true, message: 'Valid doctor not found' });
+      }
+      
+      if (!doctor.active) {
+        return res.status(400).json({ error: true, message: 'Doctor account is deactivated' });
+      }
+      
+      const result = await prisma.$transaction(async (prisma) => {
+        const series = await prisma.appointmentSeries.create({
+          data: {
+            patientId: req.body.patientId,
+            doctorId: req.body.doctorId,
+            rrule: req.body.rrule.replace(/^RRULE:/i, '').toUpperCase(),
+            startDate: occurrences[0],
+            time: req.body.time,
+            type: req.body.type || 'FOLLOW_UP',
+            notes: req.body.notes,
+            createdById: req.user.id
+          }
+        });
+        
+        const created = [];
+        const conflicts = [];
+        
+        // Clashing occurrences are reported back rather than booked. Each day is locked
+        // before its check so concurrent bookings of the same day cannot slip in between.
+        for (const date of occurrences) {
+          await lockDoctorDay(prisma, req.body.doctorId, date);
+          
+          const conflict = await findBookingConflict(req.body.doctorId, date, req.body.time, { client: prisma });
+          
+          if (conflict) {
+            conflicts.push({ date: date.toISOString().split('T')[0], reason: conflict });
+            continue;
+          }
+          
+          const appointment = await prisma.appointment.create({
+            data: {
+              patientId: req.body.patientId,
+              doctorId: req.body.doctorId,
+              seriesId: series.id,
+              date,
+              time: req.body.time,
+              status: 'SCHEDULED',
+              type: series.type,
+              notes: req.body.notes,
+              queueNumber: await allocateQueueNumber(prisma, req.body.doctorId, date)
+            }
+          });
+          
+          await recordStatusChange(prisma, {
+            appointmentId: appointment.id,
+            toStatus: 'SCHEDULED',
+            changedById: req.user.id,
+            reason: 'Created from recurring series'
+          });
+          
+          created.push(appointment);
+        }
+        
+        if (created.length === 0) {
+          const error = new Error('Every occurrence clashes with the doctor\'s availability or other appointments');
+          error.status = 409;
+          error.conflicts = conflicts;
+          throw error;
+        }
+        
+        return { series, created, conflicts };
+      }, { timeout: 30000 });
+      
+      result.created.forEach(appointment => publish('appointment.created', appointment, { doctorId: appointment.doctorId }));
+      publishQueueDays(req.body.doctorId, result.created.map(appointment => appointment.date));
+      
+      res.status(201).json(result);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message, conflicts: error.conflicts });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get a series with its appointments
+router.get('/series/:seriesId',
+  can.view,
+  param('seriesId').isUUID().withMessage('Invalid series ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const series = await prisma.appointmentSeries.findUnique({
+        where: {
+          id: req.params.seriesId
+        },
+        include: {
+          patient: true,
+          doctor: true,
+          appointments: {
+            orderBy: {
+              date: 'asc'
+            }
+          }
+        }
+      });
+      
+      if (!series) {
+        return res.status(404).json({ error: true, message: 'Series not found' });
+      }
+      
+      res.json(series);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Appointments in a series affected by an edit or cancellation.
+// Scope is "one" (the given appointment), "following" (it and later ones) or "all".
+const findSeriesScope = async (seriesId, scope, appointmentId) => {
+  const where = {
+    seriesId,
+    status: {
+      in: ['SCHEDULED', 'IN_QUEUE']
+    }
+  };
+  
+  if (scope !== 'all') {
+    const anchor = await prisma.appointment.findUnique({
+      where: {
+        id: appointmentId
+      }
+    });
+    
+    if (!anchor || anchor.seriesId !== seriesId) {
+      return null;
+    }
+    
+    if (scope === 'one') {
+      where.id = anchor.id;
+    } else {
+      where.date = {
+        gte: anchor.date
+      };
+    }
+  }
+  
+  return prisma.appointment.findMany({
+    where,
+    orderBy: {
+      date: 'asc'
+    }
+  });
+};
+
+const seriesScopeValidators = [
+  param('seriesId').isUUID().withMessage('Invalid series ID'),
+  body('scope').isIn(['one', 'following', 'all']).withMessage('Scope must be one, following or all'),
+  body('appointmentId')
+    .if(body('scope').isIn(['one', 'following']))
+    .isUUID().withMessage('Valid appointment ID is required for this scope')
+];
+
+// Edit time, type or notes of "this one", "this and following" or "all" appointments in a series
+router.put('/series/:seriesId',
+  can.update,
+  [
+    ...seriesScopeValidators,
+    body('time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time is required (HH:MM)'),
+    body('type').optional().isIn(['GENERAL', 'FOLLOW_UP', 'SPECIALIST', 'EMERGENCY']).withMessage('Valid type is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const series = await prisma.appointmentSeries.findUnique({
+        where: {
+          id: req.params.seriesId
+        }
+      });
+      
+      if (!series) {
+        return res.status(404).json({ error: true, message: 'Series not found' });
+      }
+      
+      const appointments = await findSeriesScope(series.id, req.body.scope, req.body.appointmentId);
+      
+      if (!appointments) {
+        return res.status(400).json({ error: true, message: 'Appointment does not belong to this series' });
+      }
+      
+      const data = {};
+      ['time', 'type', 'notes'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          data[field] = req.body[field];
+        }
+      });
+      
+      const updated = await prisma.$transaction(async (prisma) => {
+        // A new time must be free on every affected date, otherwise nothing is changed.
+        // The days are locked first (in date order, as bookings take them) so the checks hold until commit.
+        if (data.time) {
+          const conflicts = [];
+          
+          for (const appointment of appointments) {
+            await lockDoctorDay(prisma, series.doctorId, appointment.date);
+          }
+          
+          for (const appointment of appointments) {
+            const conflict = await findBookingConflict(series.doctorId, appointment.date, data.time, {
+              excludeAppointmentId: appointment.id,
+              client: prisma
+            });
+            
+            if (conflict) {
+              conflicts.push({ appointmentId: appointment.id, date: appointment.date.toISOString().split('T')[0], reason: conflict });
+            }
+          }
+          
+          if (conflicts.length > 0) {
+            const error = new Error('New time clashes with other appointments');
+            error.status = 409;
+            error.conflicts = conflicts;
+            throw error;
+          }
+        }
+        
+        await prisma.appointment.updateMany({
+          where: {
+            id: {
+              in: appointments.map(appointment => appointment.id)
+            }
+          },
+          data
+        });
+        
+        if (req.body.scope === 'all') {
+          await prisma.appointmentSeries.update({
+            where: {
+              id: series.id
+            },
+            data
+          });
+        }
+        
+        return prisma.appointment.findMany({
+          where: {
+            id: {
+              in: appointments.map(appointment => appointment.id)
+            }
+          },
+          orderBy: {
+            date: 'asc'
+          }
+        });
+      });
+      
+      publishQueueDays(series.doctorId, updated.map(appointment => appointment.date));
+      
+      res.json({ seriesId: series.id, scope: req.body.scope, updated });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message, conflicts: error.conflicts });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Cancel "this one", "this and following" or "all" pending appointments in a series
+router.post('/series/:seriesId/cancel',
+  can.update,
+  seriesScopeValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const series = await prisma.appointmentSeries.findUnique({
+        where: {
+          id: req.params.seriesId
+        }
+      });
+      
+      if (!series) {
+        return res.status(404).json({ error: true, message: 'Series not found' });
+      }
+      
+      const appointments = await findSeriesScope(series.id, req.body.scope, req.body.appointmentId);
+      
+      if (!appointments) {
+        return res.status(400).json({ error: true, message: 'Appointment does not belong to this series' });
+      }
+      
+      const cancelled = await prisma.$transaction(async (prisma) => {
+        const results = [];
+        
+        for (const appointment of appointments) {
+          results.push(await changeAppointmentStatus(prisma, appointment, 'CANCELLED', {
+            changedById: req.user.id,
+            reason: req.body.reason || `Series cancelled (${req.body.scope})`
+          }));
+        }
+        
+        return results;
+      });
+      
+      cancelled.forEach((appointment, index) => {
+        publishStatusChange(appointment, appointments[index].status);
+        releaseSlot(appointment);
+      });
+      publishQueueDays(series.doctorId, cancelled.map(appointment => appointment.date));
+      
+      res.json({ seriesId: series.id, scope: req.body.scope, cancelled });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
 // Get a single appointment by ID
-router.get('/:id', 
+router.get('/:id',
+  can.view,
   param('id').isUUID().withMessage('Invalid appointment ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -74,7 +638,9 @@ router.get('/:id',
         },
         include: {
           patient: true,
-          doctor: true
+          doctor: true,
+          rescheduledFrom: true,
+          rescheduledTo: true
         }
       });
       
@@ -90,12 +656,13 @@ router.get('/:id',
 
 // Create a new appointment
 router.post('/',
+  can.create,
   [
     body('patientId').isUUID().withMessage('Valid patient ID is required'),
-    body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+    body('doctorId').notEmpty().withMessage('Valid doctor ID is required'),
     body('date').isDate().withMessage('Valid date is required'),
     body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time is required (HH:MM)'),
-    body('status').isIn(['SCHEDULED', 'IN_QUEUE', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']).withMessage('Valid status is required'),
+    body('status').isIn(INITIAL_STATUSES).withMessage(`New appointments must be ${INITIAL_STATUSES.join(' or ')}`),
     body('type').isIn(['GENERAL', 'FOLLOW_UP', 'SPECIALIST', 'EMERGENCY']).withMessage('Valid type is required')
   ],
   async (req, res) => {
@@ -127,66 +694,159 @@ router.post('/',
         return res.status(400).json({ error: true, message: 'Valid doctor not found' });
       }
       
-      // Generate queue number
-      let queueNumber = 1;
+      if (!doctor.active) {
+        return res.status(400).json({ error: true, message: 'Doctor account is deactivated' });
+      }
       
-      if (req.body.status !== 'CANCELLED') {
-        // Get the highest queue number for the day
-        const highestQueue = await prisma.appointment.findFirst({
-          where: {
-            date: new Date(req.body.date),
-            status: {
-              not: 'CANCELLED'
-            }
+      const newAppointment = await prisma.$transaction(async (prisma) => {
+        // Queue numbers are allocated per doctor per day. Taking one locks the doctor's
+        // counter row until commit, so concurrent bookings for the day are checked one at a time.
+        const queueNumber = await allocateQueueNumber(prisma, req.body.doctorId, new Date(req.body.date));
+        
+        // Reject bookings outside the doctor's availability or clashing with another appointment.
+        // Emergencies are seen regardless; triage acuity decides their place in the queue.
+        if (req.body.type !== 'EMERGENCY') {
+          const conflict = await findBookingConflict(req.body.doctorId, new Date(req.body.date), req.body.time, { client: prisma });
+          
+          if (conflict) {
+            throw conflictError(conflict);
+          }
+        }
+        
+        const created = await prisma.appointment.create({
+          data: {
+            patient: {
+              connect: {
+                id: req.body.patientId
+              }
+            },
+            doctor: {
+              connect: {
+                id: req.body.doctorId
+              }
+            },
+            date: dayRange(new Date(req.body.date)).start,
+            time: req.body.time,
+            status: req.body.status,
+            type: req.body.type,
+            notes: req.body.notes,
+            queueNumber: queueNumber
           },
-          orderBy: {
-            queueNumber: 'desc'
+          include: {
+            patient: true,
+            doctor: true
           }
         });
         
-        if (highestQueue && highestQueue.queueNumber) {
-          queueNumber = highestQueue.queueNumber + 1;
+        // Record the initial status as the first history entry
+        await recordStatusChange(prisma, {
+          appointmentId: created.id,
+          toStatus: created.status,
+          changedById: req.user.id
+        });
+        
+        return created;
+      });
+      
+      publish('appointment.created', newAppointment, { doctorId: newAppointment.doctorId });
+      publishQueue(newAppointment.doctorId, newAppointment.date);
+      
+      res.status(201).json(newAppointment);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Update an appointment
+router.put('/:id',
+  can.update,
+  [
+    param('id').isUUID().withMessage('Invalid appointment ID'),
+    body('status').optional().isIn(['SCHEDULED', 'IN_QUEUE', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_SHOW']).withMessage('Valid status is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      // Check if appointment exists
+      const appointment = await prisma.appointment.findUnique({
+        where: {
+          id: req.params.id
         }
-      } else {
-        queueNumber = null;
+      });
+      
+      if (!appointment) {
+        return res.status(404).json({ error: true, message: 'Appointment not found' });
       }
       
-      const newAppointment = await prisma.appointment.create({
-        data: {
-          patient: {
-            connect: {
-              id: req.body.patientId
-            }
-          },
-          doctor: {
-            connect: {
-              id: req.body.doctorId
+      const data = {};
+      
+      if (req.body.notes !== undefined) {
+        data.notes = req.body.notes;
+      }
+      
+      // Status changes go through the transition rules and are recorded in the history
+      if (req.body.status && req.body.status !== appointment.status) {
+        const updatedAppointment = await prisma.$transaction(async (prisma) =>
+          changeAppointmentStatus(prisma, appointment, req.body.status, {
+            changedById: req.user.id,
+            reason: req.body.reason,
+            data,
+            include: {
+              patient: true,
+              doctor: true
             }
-          },
-          date: new Date(req.body.date),
-          time: req.body.time,
-          status: req.body.status,
-          type: req.body.type,
-          notes: req.body.notes,
-          queueNumber: queueNumber
+          })
+        );
+        
+        publishStatusChange(updatedAppointment, appointment.status);
+        publishQueue(updatedAppointment.doctorId, updatedAppointment.date);
+        
+        // Offer the freed slot to the waitlist
+        if (updatedAppointment.status === 'CANCELLED') {
+          releaseSlot(updatedAppointment);
+        }
+        
+        return res.json(updatedAppointment);
+      }
+      
+      // Update appointment
+      const updatedAppointment = await prisma.appointment.update({
+        where: {
+          id: req.params.id
         },
+        data,
         include: {
           patient: true,
           doctor: true
         }
       });
       
-      res.status(201).json(newAppointment);
+      res.json(updatedAppointment);
     } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message, allowed: error.allowed });
+      }
+      
       res.status(500).json({ error: true, message: error.message });
     }
 });
 
-// Update an appointment
-router.put('/:id',
+// Move an appointment to a new date/time, keeping the original as RESCHEDULED and linked
+router.post('/:id/reschedule',
+  can.update,
   [
     param('id').isUUID().withMessage('Invalid appointment ID'),
-    body('status').optional().isIn(['SCHEDULED', 'IN_QUEUE', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']).withMessage('Valid status is required')
+    body('date').isDate().withMessage('Valid date is required'),
+    body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time is required (HH:MM)'),
+    body('reason').notEmpty().withMessage('Reschedule reason is required')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -195,7 +855,6 @@ router.put('/:id',
     }
     
     try {
-      // Check if appointment exists
       const appointment = await prisma.appointment.findUnique({
         where: {
           id: req.params.id
@@ -206,22 +865,174 @@ router.put('/:id',
         return res.status(404).json({ error: true, message: 'Appointment not found' });
       }
       
-      // Update appointment
-      const updatedAppointment = await prisma.appointment.update({
+      if (!canTransition(appointment.status, 'RESCHEDULED')) {
+        return res.status(409).json({
+          error: true,
+          message: `Cannot reschedule an appointment that is ${appointment.status}`
+        });
+      }
+      
+      const date = dayRange(new Date(req.body.date)).start;
+      
+      const { original, replacement } = await prisma.$transaction(async (prisma) => {
+        // Taking the queue number first locks the new day for this doctor, so the check
+        // below cannot race another booking of the same slot
+        const queueNumber = await allocateQueueNumber(prisma, appointment.doctorId, date);
+        
+        const conflict = await findBookingConflict(appointment.doctorId, date, req.body.time, {
+          excludeAppointmentId: appointment.id,
+          client: prisma
+        });
+        
+        if (conflict) {
+          throw conflictError(conflict);
+        }
+        
+        const original = await changeAppointmentStatus(prisma, appointment, 'RESCHEDULED', {
+          changedById: req.user.id,
+          reason: req.body.reason
+        });
+        
+        // The new booking keeps the original's details and gets a queue position on its new day
+        const replacement = await prisma.appointment.create({
+          data: {
+            patientId: appointment.patientId,
+            doctorId: appointment.doctorId,
+            seriesId: appointment.seriesId,
+            date,
+            time: req.body.time,
+            status: 'SCHEDULED',
+            type: appointment.type,
+            notes: appointment.notes,
+            queueNumber,
+            rescheduledFromId: appointment.id,
+            rescheduleReason: req.body.reason
+          },
+          include: {
+            patient: true,
+            doctor: true,
+            rescheduledFrom: true
+          }
+        });
+        
+        await recordStatusChange(prisma, {
+          appointmentId: replacement.id,
+          toStatus: 'SCHEDULED',
+          changedById: req.user.id,
+          reason: req.body.reason
+        });
+        
+        return { original, replacement };
+      });
+      
+      publishStatusChange(original, appointment.status);
+      publish('appointment.created', replacement, { doctorId: replacement.doctorId });
+      publishQueue(appointment.doctorId, appointment.date);
+      if (date.getTime() !== appointment.date.getTime()) {
+        publishQueue(appointment.doctorId, date);
+      }
+      releaseSlot(appointment);
+      
+      res.status(201).json(replacement);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get the reminder delivery status of an appointment
+router.get('/:id/notifications',
+  can.view,
+  param('id').isUUID().withMessage('Invalid appointment ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const appointment = await prisma.appointment.findUnique({
         where: {
           id: req.params.id
+        }
+      });
+      
+      if (!appointment) {
+        return res.status(404).json({ error: true, message: 'Appointment not found' });
+      }
+      
+      const notifications = await prisma.notification.findMany({
+        where: {
+          appointmentId: req.params.id
         },
-        data: {
-          status: req.body.status,
-          notes: req.body.notes
+        orderBy: [
+          {
+            offsetMinutes: 'desc'
+          },
+          {
+            channel: 'asc'
+          }
+        ]
+      });
+      
+      res.json({
+        appointmentId: appointment.id,
+        notifications
+      });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get the status history of an appointment
+router.get('/:id/history',
+  can.view,
+  param('id').isUUID().withMessage('Invalid appointment ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const appointment = await prisma.appointment.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+      
+      if (!appointment) {
+        return res.status(404).json({ error: true, message: 'Appointment not found' });
+      }
+      
+      const history = await prisma.appointmentStatusHistory.findMany({
+        where: {
+          appointmentId: req.params.id
         },
         include: {
-          patient: true,
-          doctor: true
+          changedBy: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              role: true
+            }
+          }
+        },
+        orderBy: {
+          changedAt: 'asc'
         }
       });
       
-      res.json(updatedAppointment);
+      res.json({
+        appointmentId: appointment.id,
+        status: appointment.status,
+        allowedTransitions: STATUS_TRANSITIONS[appointment.status],
+        history
+      });
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
     }
@@ -229,6 +1040,7 @@ router.put('/:id',
 
 // Delete an appointment
 router.delete('/:id',
+  can.delete,
   param('id').isUUID().withMessage('Invalid appointment ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -255,6 +1067,12 @@ router.delete('/:id',
         }
       });
       
+      publish('appointment.deleted', { appointmentId: appointment.id }, { doctorId: appointment.doctorId });
+      publishQueue(appointment.doctorId, appointment.date);
+      if (!RELEASED_STATUSES.includes(appointment.status)) {
+        releaseSlot(appointment);
+      }
+      
       res.json({ message: 'Appointment deleted successfully' });
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
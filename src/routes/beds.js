@@ -1,11 +1,42 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { publish } from '../services/events.js';
+import { ifMatchFails, setETag, updateVersioned } from '../services/concurrency.js';
+import { bedPlacementInclude, wardTreeInclude } from '../services/wards.js';
+import { recommendBeds } from '../services/bedRecommendation.js';
+import { findBedInconsistencies, repairBedInconsistencies } from '../services/bedReconciliation.js';
 
 const router = express.Router();
 
+// Role permission matrix for beds routes
+const can = definePermissions('beds', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  create: ['ADMIN'],
+  update: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  delete: ['ADMIN'],
+  reconcile: ['ADMIN']
+});
+
+// A room with its ward and current number of beds
+const findRoom = (roomId) => prisma.room.findUnique({
+  where: {
+    id: roomId
+  },
+  include: {
+    ward: true,
+    _count: {
+      select: {
+        beds: true
+      }
+    }
+  }
+});
+
 // Get all beds
-router.get('/', async (req, res) => {
+router.get('/', can.list, async (req, res) => {
   try {
     const beds = await prisma.bed.findMany({
       include: {
@@ -21,8 +52,9 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get beds by ward
-router.get('/ward/:ward', 
+// Get the wards of a type as a ward -> room -> bed tree
+router.get('/ward/:ward',
+  can.list,
   param('ward').isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Invalid ward type'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -31,31 +63,44 @@ router.get('/ward/:ward',
     }
     
     try {
-      const beds = await prisma.bed.findMany({
+      const wards = await prisma.ward.findMany({
         where: {
-          ward: req.params.ward
-        },
-        include: {
-          patient: true
+          type: req.params.ward
         },
-        orderBy: {
-          bedNumber: 'asc'
-        }
+        include: wardTreeInclude,
+        orderBy: [
+          { floor: 'asc' },
+          { name: 'asc' }
+        ]
       });
       
-      res.json(beds);
+      res.json(wards);
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
     }
 });
 
-// Get available beds
-router.get('/available', async (req, res) => {
+// Get available beds. Reserved beds are held for someone and excluded, unless
+// includeReserved=true is passed to list them with their active reservation.
+router.get('/available', can.list, async (req, res) => {
   try {
+    const includeReserved = req.query.includeReserved === 'true';
+    
     const beds = await prisma.bed.findMany({
       where: {
-        status: 'AVAILABLE'
+        status: {
+          in: includeReserved ? ['AVAILABLE', 'RESERVED'] : ['AVAILABLE']
+        }
       },
+      include: includeReserved
+        ? {
+          reservations: {
+            where: {
+              status: 'ACTIVE'
+            }
+          }
+        }
+        : undefined,
       orderBy: {
         bedNumber: 'asc'
       }
@@ -67,8 +112,120 @@ router.get('/available', async (req, res) => {
   }
 });
 
+// Rank available beds for a patient, explaining the factors behind each suggestion
+router.get('/recommend',
+  can.list,
+  [
+    query('patientId').isUUID().withMessage('Valid patient ID is required'),
+    query('wardType').optional().isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Invalid ward type'),
+    query('isolation').optional().isBoolean().withMessage('isolation must be true or false').toBoolean(),
+    query('doctorId').optional().notEmpty().withMessage('Invalid doctor ID'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const patient = await prisma.patient.findUnique({
+        where: {
+          id: req.query.patientId
+        }
+      });
+      
+      if (!patient) {
+        return res.status(404).json({ error: true, message: 'Patient not found' });
+      }
+      
+      const result = await recommendBeds({
+        patient,
+        wardType: req.query.wardType,
+        isolationRequired: req.query.isolation || false,
+        doctorId: req.query.doctorId,
+        limit: req.query.limit
+      });
+      
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Report every inconsistency between bed occupancy and active admissions
+router.get('/consistency', can.reconcile, async (req, res) => {
+  try {
+    const issues = await findBedInconsistencies();
+    
+    res.json({ checkedAt: new Date(), count: issues.length, issues });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Apply repairs for the selected issue ids in one transaction, or preview them with dryRun
+router.post('/consistency/repair',
+  can.reconcile,
+  [
+    body('issueIds').isArray({ min: 1 }).withMessage('issueIds must be a non-empty array'),
+    body('issueIds.*').isString().withMessage('Issue IDs must be strings'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const result = await repairBedInconsistencies({
+        issueIds: req.body.issueIds,
+        dryRun: req.body.dryRun || false,
+        performedById: req.user.id
+      });
+      
+      res.json(result);
+    } catch (error) {
+      if (error.code === 'P2034') {
+        return res.status(409).json({ error: true, message: 'Beds changed while repairing; run the check again' });
+      }
+      
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Past reconciliation runs, latest first
+router.get('/consistency/audit', can.reconcile, async (req, res) => {
+  try {
+    const entries = await prisma.auditEntry.findMany({
+      where: {
+        action: 'BED_RECONCILIATION'
+      },
+      include: {
+        performedBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      take: 50
+    });
+    
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
 // Get a single bed by ID
-router.get('/:id', 
+router.get('/:id',
+  can.view,
   param('id').isUUID().withMessage('Invalid bed ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -82,7 +239,8 @@ router.get('/:id',
           id: req.params.id
         },
         include: {
-          patient: true
+          patient: true,
+          ...bedPlacementInclude
         }
       });
       
@@ -90,6 +248,7 @@ router.get('/:id',
         return res.status(404).json({ error: true, message: 'Bed not found' });
       }
       
+      setETag(res, bed);
       res.json(bed);
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
@@ -98,9 +257,10 @@ router.get('/:id',
 
 // Create a new bed
 router.post('/',
+  can.create,
   [
     body('bedNumber').notEmpty().withMessage('Bed number is required'),
-    body('ward').isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Valid ward type is required'),
+    body('roomId').isUUID().withMessage('Valid room ID is required'),
     body('status').optional().isIn(['AVAILABLE', 'OCCUPIED', 'MAINTENANCE']).withMessage('Valid status is required')
   ],
   async (req, res) => {
@@ -127,15 +287,30 @@ router.post('/',
         });
       }
       
+      const room = await findRoom(req.body.roomId);
+      
+      if (!room) {
+        return res.status(400).json({ error: true, message: 'Room not found' });
+      }
+      
+      if (room._count.beds >= room.capacity) {
+        return res.status(409).json({ error: true, message: `Room ${room.name} already has its ${room.capacity} beds` });
+      }
+      
+      // The bed takes its ward type from the room's ward
       const newBed = await prisma.bed.create({
         data: {
           bedNumber: req.body.bedNumber,
-          ward: req.body.ward,
+          ward: room.ward.type,
+          roomId: room.id,
           status: (req.body.status || 'AVAILABLE').toUpperCase(),
           notes: req.body.notes,
         }
       });
       
+      publish('bed.status', newBed, { ward: newBed.ward });
+      
+      setETag(res, newBed);
       res.status(201).json(newBed);
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
@@ -144,9 +319,11 @@ router.post('/',
 
 // Update a bed
 router.put('/:id',
+  can.update,
   [
     param('id').isUUID().withMessage('Invalid bed ID'),
-    body('status').optional().isIn(['AVAILABLE', 'OCCUPIED', 'MAINTENANCE']).withMessage('Valid status is required')
+    body('status').optional().isIn(['AVAILABLE', 'OCCUPIED', 'MAINTENANCE']).withMessage('Valid status is required'),
+    body('roomId').optional().isUUID().withMessage('Valid room ID is required')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -166,22 +343,68 @@ router.put('/:id',
         return res.status(404).json({ error: true, message: 'Bed not found' });
       }
       
+      if (ifMatchFails(req, bed)) {
+        setETag(res, bed);
+        return res.status(412).json({ error: true, message: 'Bed has changed since it was read' });
+      }
+      
+      // A held bed is released through its reservation, not by editing the bed
+      if (bed.status === 'RESERVED' && ((req.body.status && req.body.status !== bed.status) || req.body.patientId)) {
+        return res.status(409).json({
+          error: true,
+          message: 'Bed is reserved; cancel the reservation or admit through it instead'
+        });
+      }
+      
+      // A dirty bed is returned to service by housekeeping, which records the turnaround
+      if (bed.status === 'CLEANING' && ((req.body.status && req.body.status !== bed.status) || req.body.patientId)) {
+        return res.status(409).json({
+          error: true,
+          message: 'Bed is being cleaned; mark it clean through housekeeping first'
+        });
+      }
+      
+      // Moving the bed to another room, which may belong to a ward of another type
+      let placement = {};
+      
+      if (req.body.roomId && req.body.roomId !== bed.roomId) {
+        if (bed.status === 'OCCUPIED' || bed.status === 'RESERVED') {
+          return res.status(409).json({ error: true, message: `Cannot move a bed that is ${bed.status}` });
+        }
+        
+        const room = await findRoom(req.body.roomId);
+        
+        if (!room) {
+          return res.status(400).json({ error: true, message: 'Room not found' });
+        }
+        
+        if (room._count.beds >= room.capacity) {
+          return res.status(409).json({ error: true, message: `Room ${room.name} already has its ${room.capacity} beds` });
+        }
+        
+        placement = {
+          roomId: room.id,
+          ward: room.ward.type
+        };
+      }
+      
       // Handle status changes
       if (req.body.status && req.body.status !== bed.status) {
         if (req.body.status === 'AVAILABLE' || req.body.status === 'MAINTENANCE') {
           // If changing to available or maintenance, remove any patient association
-          return await prisma.bed.update({
-            where: {
-              id: req.params.id
-            },
-            data: {
-              status: req.body.status,
-              patientId: null,
-              admissionDate: null,
-              expectedDischargeDate: null,
-              notes: req.body.notes
-            }
+          const updatedBed = await updateVersioned(prisma.bed, bed, {
+            status: req.body.status,
+            patientId: null,
+            admissionDate: null,
+            expectedDischargeDate: null,
+            notes: req.body.notes,
+            ...placement
           });
+          
+          publish('bed.status', updatedBed, { ward: updatedBed.ward });
+          
+          setETag(res, updatedBed);
+          return res.json(updatedBed);
         } else if (req.body.status === 'OCCUPIED' && !req.body.patientId) {
           return res.status(400).json({
             error: true,
@@ -204,50 +427,53 @@ router.put('/:id',
         }
         
         // Update bed with patient
-        const updatedBed = await prisma.bed.update({
-          where: {
-            id: req.params.id
-          },
-          data: {
-            status: 'OCCUPIED',
-            patient: {
-              connect: {
-                id: req.body.patientId
-              }
-            },
-            admissionDate: req.body.admissionDate ? new Date(req.body.admissionDate) : new Date(),
-            expectedDischargeDate: req.body.expectedDischargeDate ? new Date(req.body.expectedDischargeDate) : null,
-            notes: req.body.notes
-          },
+        const updatedBed = await updateVersioned(prisma.bed, bed, {
+          status: 'OCCUPIED',
+          patientId: req.body.patientId,
+          admissionDate: req.body.admissionDate ? new Date(req.body.admissionDate) : new Date(),
+          expectedDischargeDate: req.body.expectedDischargeDate ? new Date(req.body.expectedDischargeDate) : null,
+          notes: req.body.notes,
+          ...placement
+        }, {
           include: {
             patient: true
           }
         });
         
+        publish('bed.status', updatedBed, { ward: updatedBed.ward });
+        
+        setETag(res, updatedBed);
         return res.json(updatedBed);
       }
       
       // Simple update with no patient change
-      const updatedBed = await prisma.bed.update({
-        where: {
-          id: req.params.id
-        },
-        data: {
-          notes: req.body.notes
-        },
+      const updatedBed = await updateVersioned(prisma.bed, bed, {
+        notes: req.body.notes,
+        ...placement
+      }, {
         include: {
           patient: true
         }
       });
       
+      if (placement.roomId) {
+        publish('bed.status', updatedBed, { ward: updatedBed.ward });
+      }
+      
+      setETag(res, updatedBed);
       res.json(updatedBed);
     } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+      
       res.status(500).json({ error: true, message: error.message });
     }
 });
 
 // Delete a bed
 router.delete('/:id',
+  can.delete,
   param('id').isUUID().withMessage('Invalid bed ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -275,6 +501,13 @@ router.delete('/:id',
         });
       }
       
+      if (bed.status === 'RESERVED') {
+        return res.status(400).json({ 
+          error: true, 
+          message: 'Cannot delete a reserved bed' 
+        });
+      }
+      
       // Check if bed has active admissions
       const activeAdmissions = await prisma.admission.findMany({
         where: {
@@ -297,6 +530,8 @@ router.delete('/:id',
         }
       });
       
+      publish('bed.deleted', { bedId: bed.id, bedNumber: bed.bedNumber }, { ward: bed.ward });
+      
       res.json({ message: 'Bed deleted successfully' });
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
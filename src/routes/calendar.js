@@ -0,0 +1,136 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { prisma } from '../index.js';
+import { buildCalendar, hashToken } from '../services/calendar.js';
+
+const router = express.Router();
+
+// Read-only iCalendar feeds. These are not behind Clerk: calendar apps authenticate
+// with the revocable token in the URL instead.
+router.get('/:token.ics',
+  param('token').isLength({ min: 20 }).withMessage('Invalid calendar token'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({ error: true, message: 'Calendar not found' });
+    }
+
+    try {
+      const calendarToken = await prisma.calendarToken.findUnique({
+        where: {
+          tokenHash: hashToken(req.params.token)
+        },
+        include: {
+          user: true,
+          patient: true
+        }
+      });
+
+      if (!calendarToken || calendarToken.revokedAt) {
+        return res.status(404).json({ error: true, message: 'Calendar not found' });
+      }
+
+      if (calendarToken.user && !calendarToken.user.active) {
+        return res.status(404).json({ error: true, message: 'Calendar not found' });
+      }
+
+      let name;
+      let where;
+      let describe;
+
+      if (calendarToken.user) {
+        // Doctor feed: upcoming appointments from today onwards
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+
+        name = `Dr. ${calendarToken.user.firstName} ${calendarToken.user.lastName} - Appointments`;
+        where = {
+          doctorId: calendarToken.userId,
+          date: {
+            gte: today
+          }
+        };
+        // Patient names, MRN and notes only when the token was issued with them
+        describe = calendarToken.includePatientDetails
+          ? (appointment) => ({
+            summary: `${appointment.patient.firstName} ${appointment.patient.lastName} (${appointment.type})`,
+            description: [
+              `MRN: ${appointment.patient.mrn}`,
+              appointment.queueNumber ? `Queue number: ${appointment.queueNumber}` : null,
+              appointment.notes ? `Notes: ${appointment.notes}` : null
+            ].filter(Boolean).join('\n')
+          })
+          : (appointment) => ({
+            summary: `${appointment.type} appointment (${appointment.patient.firstName[0]}${appointment.patient.lastName[0]})`,
+            description: [
+              appointment.queueNumber ? `Queue number: ${appointment.queueNumber}` : null,
+              'Patient details are available in MediConnect'
+            ].filter(Boolean).join('\n')
+          });
+      } else {
+        // Patient feed: all of the patient's appointments
+        name = `${calendarToken.patient.firstName} ${calendarToken.patient.lastName} - Appointments`;
+        where = {
+          patientId: calendarToken.patientId
+        };
+        describe = (appointment) => ({
+          summary: `Appointment with Dr. ${appointment.doctor.lastName}`,
+          description: `${appointment.type} appointment with Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`
+        });
+      }
+
+      const appointments = await prisma.appointment.findMany({
+        where,
+        include: {
+          patient: true,
+          doctor: true,
+          _count: {
+            select: {
+              statusHistory: true
+            }
+          }
+        },
+        orderBy: [
+          {
+            date: 'asc'
+          },
+          {
+            time: 'asc'
+          }
+        ]
+      });
+
+      const schedules = await prisma.doctorSchedule.findMany({
+        where: {
+          doctorId: {
+            in: [...new Set(appointments.map(appointment => appointment.doctorId))]
+          }
+        }
+      });
+
+      const slotMinutes = {};
+      schedules.forEach(schedule => {
+        slotMinutes[schedule.doctorId] = schedule.slotMinutes;
+      });
+
+      await prisma.calendarToken.update({
+        where: {
+          id: calendarToken.id
+        },
+        data: {
+          lastUsedAt: new Date()
+        }
+      });
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="appointments.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(buildCalendar(name, appointments, describe, { slotMinutes }));
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+export default router;
@@ -1,10 +1,27 @@
 import express from 'express';
+import { body, query, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { toMinutes } from '../services/availability.js';
+import { hospitalNow } from '../services/calendar.js';
+import { getTurnaroundStats } from '../services/housekeeping.js';
+import { analyticsRange, getLengthOfStay, getOccupancyHistory, getReadmissions } from '../services/bedAnalytics.js';
+import { backfillCensus, getCensus } from '../services/census.js';
+import { forecastCapacity } from '../services/capacityForecast.js';
 
 const router = express.Router();
 
+// Role permission matrix for dashboard routes
+const can = definePermissions('dashboard', {
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST', 'INVENTORY_MANAGER'],
+  manage: ['ADMIN']
+});
+
+// Longest range served day by day by the occupancy history
+const MAX_RANGE_DAYS = 3 * 366;
+
 // Get dashboard summary data
-router.get('/summary', async (req, res) => {
+router.get('/summary', can.view, async (req, res) => {
   try {
     // Get total patients
     const totalPatients = await prisma.patient.count();
@@ -40,6 +57,11 @@ router.get('/summary', async (req, res) => {
         status: 'AVAILABLE'
       }
     });
+    const reservedBeds = await prisma.bed.count({
+      where: {
+        status: 'RESERVED'
+      }
+    });
     
     // Get low stock items
     const lowStockItems = await prisma.inventoryItem.count({
@@ -63,30 +85,53 @@ router.get('/summary', async (req, res) => {
       }
     });
     
-    // Get upcoming appointments
-    const upcomingAppointments = await prisma.appointment.findMany({
-      where: {
-        date: {
-          gte: today
+    // Get upcoming appointments: the rest of today plus the next days. Times are
+    // HH:MM strings, so today's earlier slots are filtered out here.
+    const now = hospitalNow();
+    
+    const upcomingInclude = {
+      patient: true,
+      doctor: true
+    };
+    
+    const [laterToday, nextDays] = await Promise.all([
+      prisma.appointment.findMany({
+        where: {
+          date: now.date,
+          status: {
+            in: ['SCHEDULED', 'IN_QUEUE']
+          }
         },
-        status: {
-          in: ['SCHEDULED', 'IN_QUEUE']
-        }
-      },
-      take: 5,
-      orderBy: [
-        {
-          date: 'asc'
+        include: upcomingInclude
+      }),
+      prisma.appointment.findMany({
+        where: {
+          date: {
+            gt: now.date
+          },
+          status: {
+            in: ['SCHEDULED', 'IN_QUEUE']
+          }
         },
-        {
-          time: 'asc'
-        }
-      ],
-      include: {
-        patient: true,
-        doctor: true
-      }
-    });
+        take: 5,
+        orderBy: [
+          {
+            date: 'asc'
+          },
+          {
+            time: 'asc'
+          }
+        ],
+        include: upcomingInclude
+      })
+    ]);
+    
+    const upcomingAppointments = [
+      ...laterToday.filter(appointment => toMinutes(appointment.time) >= now.minutes),
+      ...nextDays
+    ]
+      .sort((a, b) => a.date - b.date || toMinutes(a.time) - toMinutes(b.time))
+      .slice(0, 5);
     
     res.json({
       totalPatients,
@@ -94,6 +139,7 @@ router.get('/summary', async (req, res) => {
       appointmentsToday,
       availableBeds,
       occupiedBeds,
+      reservedBeds,
       totalBeds: allBeds,
       occupancyRate: allBeds > 0 ? Math.round((occupiedBeds / allBeds) * 100) : 0,
       lowStockItems,
@@ -106,7 +152,7 @@ router.get('/summary', async (req, res) => {
 });
 
 // Get appointment statistics
-router.get('/appointments/stats', async (req, res) => {
+router.get('/appointments/stats', can.view, async (req, res) => {
   try {
     // Get date 7 days ago
     const sevenDaysAgo = new Date();
@@ -166,57 +212,347 @@ router.get('/appointments/stats', async (req, res) => {
   }
 });
 
-// Get bed occupancy statistics
-router.get('/beds/stats', async (req, res) => {
-  try {
-    // Get beds grouped by ward and status
-    const bedStats = await prisma.bed.groupBy({
-      by: ['ward', 'status'],
-      _count: {
-        id: true
+// Get reschedule counts per doctor and per patient, optionally within a date range
+router.get('/appointments/reschedules',
+  can.view,
+  [
+    query('from').optional().isDate().withMessage('Valid from date is required'),
+    query('to').optional().isDate().withMessage('Valid to date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      // Each replacement booking links back to the appointment it replaced
+      const where = {
+        rescheduledFromId: {
+          not: null
+        }
+      };
+      
+      if (req.query.from || req.query.to) {
+        where.createdAt = {};
+        
+        if (req.query.from) {
+          where.createdAt.gte = new Date(req.query.from);
+        }
+        
+        if (req.query.to) {
+          const to = new Date(req.query.to);
+          to.setUTCDate(to.getUTCDate() + 1);
+          where.createdAt.lt = to;
+        }
       }
-    });
+      
+      const [byDoctor, byPatient] = await Promise.all([
+        prisma.appointment.groupBy({
+          by: ['doctorId'],
+          where,
+          _count: {
+            id: true
+          }
+        }),
+        prisma.appointment.groupBy({
+          by: ['patientId'],
+          where,
+          _count: {
+            id: true
+          }
+        })
+      ]);
+      
+      const [doctors, patients] = await Promise.all([
+        prisma.user.findMany({
+          where: {
+            id: {
+              in: byDoctor.map(row => row.doctorId)
+            }
+          },
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }),
+        prisma.patient.findMany({
+          where: {
+            id: {
+              in: byPatient.map(row => row.patientId)
+            }
+          },
+          select: {
+            id: true,
+            mrn: true,
+            firstName: true,
+            lastName: true
+          }
+        })
+      ]);
+      
+      res.json({
+        total: byDoctor.reduce((sum, row) => sum + Number(row._count.id), 0),
+        byDoctor: byDoctor
+          .map(row => ({
+            doctor: doctors.find(doctor => doctor.id === row.doctorId),
+            count: Number(row._count.id)
+          }))
+          .sort((a, b) => b.count - a.count),
+        byPatient: byPatient
+          .map(row => ({
+            patient: patients.find(patient => patient.id === row.patientId),
+            count: Number(row._count.id)
+          }))
+          .sort((a, b) => b.count - a.count)
+      });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get bed occupancy statistics, with housekeeping turnaround over the last `days` days (default 30)
+router.get('/beds/stats',
+  can.view,
+  [
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     
-    // Transform data to be more usable on the frontend
-    const wardStats = {};
+    try {
+      // Get beds grouped by ward and status
+      const bedStats = await prisma.bed.groupBy({
+        by: ['ward', 'status'],
+        _count: {
+          id: true
+        }
+      });
+      
+      // Transform data to be more usable on the frontend
+      const wardStats = {};
+      
+      bedStats.forEach(stat => {
+        
+        //   if (!wardStats[stat.ward]) {
+        //     wardStats[stat.ward] = {
+        //       total: 0,
+        //       available: 0,
+        //       occupied: 0,
+        //       maintenance: 0
+        //     };
+        //   }
+        
+        //   wardStats[stat.ward][stat.status.toLowerCase()] = stat._count.id;
+        //   wardStats[stat.ward].total += stat._count.id;
+        // });
+        
+        // res.json(wardStats);
+        const ward = stat.ward;
+        const status = stat.status.toLowerCase();
+        const count = Number(stat._count.id); // Fix BigInt here
+
+        if (!wardStats[ward]) {
+          wardStats[ward] = {
+            total: 0,
+            available: 0,
+            occupied: 0,
+            maintenance: 0,
+            reserved: 0,
+            cleaning: 0
+          };
+        }
+
+        wardStats[ward][status] = count;
+        wardStats[ward].total += count;
+      });
+
+      const to = new Date();
+      const from = new Date(to.getTime() - (req.query.days || 30) * 24 * 60 * 60 * 1000);
+      const turnaround = await getTurnaroundStats({ from, to });
+
+      Object.keys(wardStats).forEach(ward => {
+        wardStats[ward].turnaround = turnaround[ward] || { cleanings: 0, averageMinutes: null, medianMinutes: null, maxMinutes: null, beds: [] };
+      });
+
+      res.json(wardStats);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Daily occupancy per ward over a date range (default: last 30 days), with bed turnover
+router.get('/beds/occupancy-history',
+  can.view,
+  [
+    query('from').optional().isDate().withMessage('Valid from date is required'),
+    query('to').optional().isDate().withMessage('Valid to date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     
-    bedStats.forEach(stat => {
+    const { from, to, days } = analyticsRange(req.query.from, req.query.to);
+    
+    if (days < 1 || days > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: true, message: `Date range must cover 1 to ${MAX_RANGE_DAYS} days` });
+    }
+    
+    try {
+      const history = await getOccupancyHistory({ from, to });
       
-    //   if (!wardStats[stat.ward]) {
-    //     wardStats[stat.ward] = {
-    //       total: 0,
-    //       available: 0,
-    //       occupied: 0,
-    //       maintenance: 0
-    //     };
-    //   }
+      res.json(history);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Projected occupancy and free beds per ward for the next `days` days (default 7), with a
+// 95% band. Uses expected discharge dates, past lengths of stay, reservations and the
+// usual unplanned admission rate.
+router.get('/beds/forecast',
+  can.view,
+  [
+    query('days').optional().isInt({ min: 1, max: 30 }).withMessage('days must be between 1 and 30').toInt(),
+    query('ward').optional().isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Invalid ward type')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const forecast = await forecastCapacity({
+        days: req.query.days || 7,
+        ward: req.query.ward
+      });
       
-    //   wardStats[stat.ward][stat.status.toLowerCase()] = stat._count.id;
-    //   wardStats[stat.ward].total += stat._count.id;
-    // });
+      res.json(forecast);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Average and median length of stay of admissions discharged in a date range,
+// per ward, attending doctor and diagnosis
+router.get('/admissions/length-of-stay',
+  can.view,
+  [
+    query('from').optional().isDate().withMessage('Valid from date is required'),
+    query('to').optional().isDate().withMessage('Valid to date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     
-    // res.json(wardStats);
-    const ward = stat.ward;
-      const status = stat.status.toLowerCase();
-      const count = Number(stat._count.id); // Fix BigInt here
-
-      if (!wardStats[ward]) {
-        wardStats[ward] = {
-          total: 0,
-          available: 0,
-          occupied: 0,
-          maintenance: 0
-        };
-      }
+    const { from, to, days } = analyticsRange(req.query.from, req.query.to);
+    
+    if (days < 1) {
+      return res.status(400).json({ error: true, message: 'from must not be after to' });
+    }
+    
+    try {
+      const lengthOfStay = await getLengthOfStay({ from, to });
+      
+      res.json(lengthOfStay);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
 
-      wardStats[ward][status] = count;
-      wardStats[ward].total += count;
-    });
+// Readmissions within `days` days (default 30) of discharges in a date range
+router.get('/admissions/readmissions',
+  can.view,
+  [
+    query('from').optional().isDate().withMessage('Valid from date is required'),
+    query('to').optional().isDate().withMessage('Valid to date is required'),
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { from, to, days } = analyticsRange(req.query.from, req.query.to);
+    
+    if (days < 1) {
+      return res.status(400).json({ error: true, message: 'from must not be after to' });
+    }
+    
+    try {
+      const readmissions = await getReadmissions({ from, to, windowDays: req.query.days || 30 });
+      
+      res.json(readmissions);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
 
-    res.json(wardStats);
-  } catch (error) {
-    res.status(500).json({ error: true, message: error.message });
-  }
+// Midnight census of a hospital day (default: today)
+router.get('/census',
+  can.view,
+  query('date').optional().isDate().withMessage('Valid date is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const date = req.query.date ? new Date(req.query.date) : hospitalNow().date;
+      const census = await getCensus(date);
+      
+      if (!census) {
+        return res.status(404).json({ error: true, message: 'No census was recorded for this date' });
+      }
+      
+      res.json(census);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Reconstruct the census of past days from admission history (admin only)
+router.post('/census/backfill',
+  can.manage,
+  [
+    body('from').isDate().withMessage('Valid from date is required'),
+    body('to').isDate().withMessage('Valid to date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { from, to, days } = analyticsRange(req.body.from, req.body.to);
+    
+    if (days < 1 || days > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: true, message: `Date range must cover 1 to ${MAX_RANGE_DAYS} days` });
+    }
+    
+    // Today's census is taken live at midnight and cannot be reconstructed
+    if (to > hospitalNow().date) {
+      return res.status(400).json({ error: true, message: 'Only days before today can be backfilled' });
+    }
+    
+    try {
+      const recorded = await backfillCensus({ from, to });
+      
+      res.json({ from: req.body.from, to: req.body.to, recorded });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
 });
 
 export default router;
\ No newline at end of file
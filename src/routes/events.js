@@ -0,0 +1,83 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { definePermissions } from '../middleware/authorize.js';
+import { eventsSince, matchesFilter, subscribe } from '../services/events.js';
+
+const router = express.Router();
+
+// Role permission matrix for events routes
+const can = definePermissions('events', {
+  stream: ['ADMIN', 'DOCTOR', 'RECEPTIONIST']
+});
+
+// Keeps proxies from closing idle streams
+const HEARTBEAT_INTERVAL = 25000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({
+    doctorId: event.doctorId,
+    ward: event.ward,
+    timestamp: event.timestamp,
+    data: event.data
+  })}\n\n`);
+};
+
+// Server-Sent Events stream of queue, appointment, bed and admission changes
+router.get('/',
+  can.stream,
+  [
+    query('doctorId').optional().notEmpty().withMessage('Invalid doctor ID'),
+    query('ward').optional().isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Invalid ward type')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {
+      doctorId: req.query.doctorId,
+      ward: req.query.ward
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    // Replay what the client missed while disconnected
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = eventsSince(lastEventId);
+
+      if (missed === null) {
+        // Too old to replay: tell the client to reload its data
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+      } else {
+        missed.filter(event => matchesFilter(event, filter)).forEach(event => writeEvent(res, event));
+      }
+    }
+
+    const unsubscribe = subscribe(event => {
+      if (matchesFilter(event, filter)) {
+        writeEvent(res, event);
+      }
+    });
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+});
+
+export default router;
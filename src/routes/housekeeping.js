@@ -0,0 +1,144 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { claimCleaning, cleaningInclude, completeCleaning } from '../services/housekeeping.js';
+
+const router = express.Router();
+
+// Role permission matrix for housekeeping routes
+const can = definePermissions('housekeeping', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST', 'HOUSEKEEPING'],
+  clean: ['ADMIN', 'HOUSEKEEPING']
+});
+
+// Beds waiting for cleaning, grouped by ward and longest-waiting first
+router.get('/beds',
+  can.list,
+  [
+    query('ward').optional().isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Invalid ward type'),
+    query('unclaimed').optional().isBoolean().withMessage('unclaimed must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const where = {
+        completedAt: null,
+        cancelledAt: null,
+        bed: {
+          status: 'CLEANING'
+        }
+      };
+
+      if (req.query.ward) {
+        where.bed.ward = req.query.ward;
+      }
+
+      if (req.query.unclaimed) {
+        where.claimedById = null;
+      }
+
+      const cleanings = await prisma.bedCleaning.findMany({
+        where,
+        include: cleaningInclude,
+        orderBy: {
+          vacatedAt: 'asc'
+        }
+      });
+
+      const now = new Date();
+      const wards = {};
+
+      cleanings.forEach(cleaning => {
+        const ward = cleaning.bed.ward;
+
+        if (!wards[ward]) {
+          wards[ward] = [];
+        }
+
+        wards[ward].push({
+          ...cleaning,
+          waitingMinutes: Math.round((now - cleaning.vacatedAt) / 60000)
+        });
+      });
+
+      res.json({ total: cleanings.length, wards });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Claim a dirty bed so other housekeepers skip it
+router.post('/beds/:bedId/claim',
+  can.clean,
+  param('bedId').isUUID().withMessage('Invalid bed ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const bed = await prisma.bed.findUnique({
+        where: {
+          id: req.params.bedId
+        }
+      });
+
+      if (!bed) {
+        return res.status(404).json({ error: true, message: 'Bed not found' });
+      }
+
+      const cleaning = await claimCleaning(req.params.bedId, req.user.id);
+
+      res.json(cleaning);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Mark a bed clean, making it AVAILABLE again
+router.post('/beds/:bedId/clean',
+  can.clean,
+  param('bedId').isUUID().withMessage('Invalid bed ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const bed = await prisma.bed.findUnique({
+        where: {
+          id: req.params.bedId
+        }
+      });
+
+      if (!bed) {
+        return res.status(404).json({ error: true, message: 'Bed not found' });
+      }
+
+      const cleaning = await completeCleaning(req.params.bedId, req.user);
+
+      res.json({
+        ...cleaning,
+        turnaroundMinutes: Math.round((cleaning.completedAt - cleaning.vacatedAt) / 60000)
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+export default router;
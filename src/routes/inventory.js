@@ -1,11 +1,21 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
 
 const router = express.Router();
 
+// Role permission matrix for inventory routes
+const can = definePermissions('inventory', {
+  list: ['ADMIN', 'DOCTOR', 'INVENTORY_MANAGER'],
+  view: ['ADMIN', 'DOCTOR', 'INVENTORY_MANAGER'],
+  create: ['ADMIN', 'INVENTORY_MANAGER'],
+  update: ['ADMIN', 'INVENTORY_MANAGER'],
+  delete: ['ADMIN', 'INVENTORY_MANAGER']
+});
+
 // Get all inventory items
-router.get('/', async (req, res) => {
+router.get('/', can.list, async (req, res) => {
   try {
     const inventory = await prisma.inventoryItem.findMany({
       orderBy: {
@@ -19,7 +29,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get low stock items
-router.get('/low-stock', async (req, res) => {
+router.get('/low-stock', can.list, async (req, res) => {
   try {
     const lowStockItems = await prisma.inventoryItem.findMany({
       where: {
@@ -39,7 +49,8 @@ router.get('/low-stock', async (req, res) => {
 });
 
 // Get items by category
-router.get('/category/:category', 
+router.get('/category/:category',
+  can.list,
   param('category').isIn(['MEDICINE', 'EQUIPMENT', 'SUPPLIES']).withMessage('Invalid category'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -64,7 +75,8 @@ router.get('/category/:category',
 });
 
 // Get a single inventory item by ID
-router.get('/:id', 
+router.get('/:id',
+  can.view,
   param('id').isUUID().withMessage('Invalid item ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -91,6 +103,7 @@ router.get('/:id',
 
 // Create a new inventory item
 router.post('/',
+  can.create,
   [
     body('name').notEmpty().withMessage('Name is required'),
     body('category').isIn(['MEDICINE', 'EQUIPMENT', 'SUPPLIES']).withMessage('Valid category is required'),
@@ -129,6 +142,7 @@ router.post('/',
 
 // Update an inventory item
 router.put('/:id',
+  can.update,
   [
     param('id').isUUID().withMessage('Invalid item ID'),
     body('quantity').optional().isInt({ min: 0 }).withMessage('Valid quantity is required')
@@ -176,6 +190,7 @@ router.put('/:id',
 
 // Delete an inventory item
 router.delete('/:id',
+  can.delete,
   param('id').isUUID().withMessage('Invalid item ID'),
   async (req, res) => {
     const errors = validationResult(req);
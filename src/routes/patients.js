@@ -1,11 +1,29 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { feedUrl, issueCalendarToken, revokeCalendarTokens } from '../services/calendar.js';
+import { getAttendanceStats } from '../services/attendance.js';
 
 const router = express.Router();
 
+// Role permission matrix for patients routes
+const can = definePermissions('patients', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  create: ['ADMIN', 'RECEPTIONIST'],
+  update: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  delete: ['ADMIN']
+});
+
+// Reminder opt-out flags, accepted on create and update
+const reminderValidators = [
+  body('emailReminders').optional().isBoolean().withMessage('emailReminders must be a boolean').toBoolean(),
+  body('smsReminders').optional().isBoolean().withMessage('smsReminders must be a boolean').toBoolean()
+];
+
 // Get all patients
-router.get('/', async (req, res) => {
+router.get('/', can.list, async (req, res) => {
   try {
     const patients = await prisma.patient.findMany({
       orderBy: {
@@ -19,7 +37,8 @@ router.get('/', async (req, res) => {
 });
 
 // Get a single patient by ID
-router.get('/:id', 
+router.get('/:id',
+  can.view,
   param('id').isUUID().withMessage('Invalid patient ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -38,7 +57,9 @@ router.get('/:id',
         return res.status(404).json({ error: true, message: 'Patient not found' });
       }
       
-      res.json(patient);
+      const attendance = await getAttendanceStats(patient.id);
+      
+      res.json({ ...patient, attendance });
     } catch (error) {
       res.status(500).json({ error: true, message: error.message });
     }
@@ -46,6 +67,7 @@ router.get('/:id',
 
 // Create a new patient
 router.post('/',
+  can.create,
   [
     body('firstName').notEmpty().withMessage('First name is required'),
     body('lastName').notEmpty().withMessage('Last name is required'),
@@ -53,7 +75,8 @@ router.post('/',
     body('gender').isIn(['MALE', 'FEMALE', 'OTHER']).withMessage('Valid gender is required'),
     body('contactNumber').notEmpty().withMessage('Contact number is required'),
     body('address').notEmpty().withMessage('Address is required'),
-    body('mrn').notEmpty().withMessage('Medical Record Number (MRN) is required')
+    body('mrn').notEmpty().withMessage('Medical Record Number (MRN) is required'),
+    ...reminderValidators
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -88,7 +111,9 @@ router.post('/',
           address: req.body.address,
           bloodGroup: req.body.bloodGroup,
           allergies: req.body.allergies,
-          medicalHistory: req.body.medicalHistory
+          medicalHistory: req.body.medicalHistory,
+          emailReminders: req.body.emailReminders,
+          smsReminders: req.body.smsReminders
         }
       });
       
@@ -100,6 +125,7 @@ router.post('/',
 
 // Update a patient
 router.put('/:id',
+  can.update,
   [
     param('id').isUUID().withMessage('Invalid patient ID'),
     body('firstName').notEmpty().withMessage('First name is required'),
@@ -107,7 +133,8 @@ router.put('/:id',
     body('dateOfBirth').isDate().withMessage('Valid date of birth is required'),
     body('gender').isIn(['MALE', 'FEMALE', 'OTHER']).withMessage('Valid gender is required'),
     body('contactNumber').notEmpty().withMessage('Contact number is required'),
-    body('address').notEmpty().withMessage('Address is required')
+    body('address').notEmpty().withMessage('Address is required'),
+    ...reminderValidators
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -142,7 +169,9 @@ router.put('/:id',
           address: req.body.address,
           bloodGroup: req.body.bloodGroup,
           allergies: req.body.allergies,
-          medicalHistory: req.body.medicalHistory
+          medicalHistory: req.body.medicalHistory,
+          emailReminders: req.body.emailReminders,
+          smsReminders: req.body.smsReminders
         }
       });
       
@@ -154,6 +183,7 @@ router.put('/:id',
 
 // Delete a patient
 router.delete('/:id',
+  can.delete,
   param('id').isUUID().withMessage('Invalid patient ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -212,6 +242,7 @@ router.delete('/:id',
 
 // Get patient appointments
 router.get('/:id/appointments',
+  can.view,
   param('id').isUUID().withMessage('Invalid patient ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -246,6 +277,7 @@ router.get('/:id/appointments',
 
 // Get patient admissions
 router.get('/:id/admissions',
+  can.view,
   param('id').isUUID().withMessage('Invalid patient ID'),
   async (req, res) => {
     const errors = validationResult(req);
@@ -273,4 +305,56 @@ router.get('/:id/admissions',
     }
 });
 
+// Issue (or rotate) a patient's calendar feed token
+router.post('/:id/calendar-token',
+  can.update,
+  param('id').isUUID().withMessage('Invalid patient ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const patient = await prisma.patient.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+      
+      if (!patient) {
+        return res.status(404).json({ error: true, message: 'Patient not found' });
+      }
+      
+      const token = await issueCalendarToken({ patientId: patient.id, createdById: req.user.id });
+      
+      res.status(201).json({ url: feedUrl(req, token) });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Revoke a patient's calendar feed token
+router.delete('/:id/calendar-token',
+  can.update,
+  param('id').isUUID().withMessage('Invalid patient ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const revoked = await revokeCalendarTokens({ patientId: req.params.id });
+      
+      if (revoked === 0) {
+        return res.status(404).json({ error: true, message: 'No active calendar feed for this patient' });
+      }
+      
+      res.json({ message: 'Calendar feed revoked successfully' });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,275 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { publish } from '../services/events.js';
+import { releaseReservation, reservationInclude, reserveBed } from '../services/reservations.js';
+
+const router = express.Router();
+
+// Role permission matrix for bed reservation routes
+const can = definePermissions('reservations', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  manage: ['ADMIN', 'DOCTOR', 'RECEPTIONIST']
+});
+
+// List reservations (active ones by default)
+router.get('/',
+  can.list,
+  [
+    query('status').optional().isIn(['ACTIVE', 'CONVERTED', 'EXPIRED', 'CANCELLED']).withMessage('Invalid status'),
+    query('ward').optional().isIn(['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC']).withMessage('Invalid ward type')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const where = {
+        status: req.query.status || 'ACTIVE'
+      };
+
+      if (req.query.ward) {
+        where.bed = {
+          ward: req.query.ward
+        };
+      }
+
+      const reservations = await prisma.bedReservation.findMany({
+        where,
+        include: reservationInclude,
+        orderBy: {
+          expectedArrival: 'asc'
+        }
+      });
+
+      res.json(reservations);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get a single reservation
+router.get('/:id',
+  can.view,
+  param('id').isUUID().withMessage('Invalid reservation ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const reservation = await prisma.bedReservation.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          ...reservationInclude,
+          admission: true
+        }
+      });
+
+      if (!reservation) {
+        return res.status(404).json({ error: true, message: 'Reservation not found' });
+      }
+
+      res.json(reservation);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Hold a bed for a registered patient or a placeholder (e.g. an incoming ambulance)
+router.post('/',
+  can.manage,
+  [
+    body('bedId').isUUID().withMessage('Valid bed ID is required'),
+    body('patientId').optional().isUUID().withMessage('Valid patient ID is required'),
+    body('placeholderName').optional().notEmpty().withMessage('Placeholder name cannot be empty'),
+    body('expectedArrival').isISO8601().withMessage('Valid expected arrival time is required'),
+    body('expiresAt').optional().isISO8601().withMessage('Valid expiry time is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.body.patientId && !req.body.placeholderName) {
+      return res.status(400).json({ error: true, message: 'Either patientId or placeholderName is required' });
+    }
+
+    try {
+      const expectedArrival = new Date(req.body.expectedArrival);
+      const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+      if (expiresAt && (expiresAt < expectedArrival || expiresAt <= new Date())) {
+        return res.status(400).json({ error: true, message: 'Expiry must be in the future and after the expected arrival' });
+      }
+
+      const bed = await prisma.bed.findUnique({
+        where: {
+          id: req.body.bedId
+        }
+      });
+
+      if (!bed) {
+        return res.status(404).json({ error: true, message: 'Bed not found' });
+      }
+
+      if (bed.status !== 'AVAILABLE') {
+        return res.status(409).json({ error: true, message: `Bed is ${bed.status}` });
+      }
+
+      if (req.body.patientId) {
+        const patient = await prisma.patient.findUnique({
+          where: {
+            id: req.body.patientId
+          }
+        });
+
+        if (!patient) {
+          return res.status(404).json({ error: true, message: 'Patient not found' });
+        }
+      }
+
+      const reservation = await reserveBed({
+        bedId: bed.id,
+        patientId: req.body.patientId,
+        placeholderName: req.body.placeholderName,
+        expectedArrival,
+        expiresAt,
+        notes: req.body.notes,
+        reservedById: req.user.id
+      });
+
+      res.status(201).json(reservation);
+    } catch (error) {
+      if (error.status === 409 || error.code === 'P2002') {
+        return res.status(409).json({ error: true, message: 'Bed is no longer available' });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Update an active reservation: identify the patient, move the arrival or extend the hold
+router.put('/:id',
+  can.manage,
+  [
+    param('id').isUUID().withMessage('Invalid reservation ID'),
+    body('patientId').optional().isUUID().withMessage('Valid patient ID is required'),
+    body('expectedArrival').optional().isISO8601().withMessage('Valid expected arrival time is required'),
+    body('expiresAt').optional().isISO8601().withMessage('Valid expiry time is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const reservation = await prisma.bedReservation.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!reservation) {
+        return res.status(404).json({ error: true, message: 'Reservation not found' });
+      }
+
+      if (reservation.status !== 'ACTIVE') {
+        return res.status(409).json({ error: true, message: `Reservation is ${reservation.status}` });
+      }
+
+      const expectedArrival = req.body.expectedArrival ? new Date(req.body.expectedArrival) : reservation.expectedArrival;
+      const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : reservation.expiresAt;
+
+      if (expiresAt < expectedArrival) {
+        return res.status(400).json({ error: true, message: 'Expiry must be after the expected arrival' });
+      }
+
+      if (req.body.patientId) {
+        const patient = await prisma.patient.findUnique({
+          where: {
+            id: req.body.patientId
+          }
+        });
+
+        if (!patient) {
+          return res.status(404).json({ error: true, message: 'Patient not found' });
+        }
+      }
+
+      const { count } = await prisma.bedReservation.updateMany({
+        where: {
+          id: reservation.id,
+          status: 'ACTIVE'
+        },
+        data: {
+          patientId: req.body.patientId,
+          placeholderName: req.body.placeholderName,
+          expectedArrival,
+          expiresAt,
+          notes: req.body.notes
+        }
+      });
+
+      if (count === 0) {
+        return res.status(409).json({ error: true, message: 'Reservation is no longer active' });
+      }
+
+      const updated = await prisma.bedReservation.findUnique({
+        where: {
+          id: reservation.id
+        },
+        include: reservationInclude
+      });
+
+      publish('reservation.updated', updated, { ward: updated.bed.ward });
+
+      res.json(updated);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Cancel an active reservation and release the bed
+router.post('/:id/cancel',
+  can.manage,
+  param('id').isUUID().withMessage('Invalid reservation ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const reservation = await prisma.bedReservation.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!reservation) {
+        return res.status(404).json({ error: true, message: 'Reservation not found' });
+      }
+
+      const cancelled = await releaseReservation(reservation, 'CANCELLED');
+
+      res.json(cancelled);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,195 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { changeAppointmentStatus, publishStatusChange } from '../services/appointmentStatus.js';
+import { publish } from '../services/events.js';
+import { publishQueue } from '../services/queue.js';
+import { getEmergencyBoard, TRIAGE_LEVELS } from '../services/triage.js';
+
+const router = express.Router();
+
+// Role permission matrix for triage routes
+const can = definePermissions('triage', {
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  assess: ['ADMIN', 'DOCTOR', 'RECEPTIONIST']
+});
+
+// Emergency department board: waiting by priority, in treatment, time-to-doctor metrics
+router.get('/board',
+  can.view,
+  [
+    query('date').optional().isDate().withMessage('Valid date is required'),
+    query('doctorId').optional().notEmpty().withMessage('Invalid doctor ID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const board = await getEmergencyBoard({
+        date: req.query.date ? new Date(req.query.date) : new Date(),
+        doctorId: req.query.doctorId
+      });
+
+      res.json({ levels: TRIAGE_LEVELS, ...board });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Triage history of an appointment, latest first
+router.get('/appointments/:appointmentId',
+  can.view,
+  param('appointmentId').isUUID().withMessage('Invalid appointment ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const appointment = await prisma.appointment.findUnique({
+        where: {
+          id: req.params.appointmentId
+        },
+        include: {
+          patient: true,
+          triages: {
+            include: {
+              assessedBy: {
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                  role: true
+                }
+              }
+            },
+            orderBy: {
+              assessedAt: 'desc'
+            }
+          }
+        }
+      });
+
+      if (!appointment) {
+        return res.status(404).json({ error: true, message: 'Appointment not found' });
+      }
+
+      res.json(appointment);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Record a triage assessment for an EMERGENCY appointment. The first assessment
+// checks the patient in; later ones re-triage a patient who is still waiting.
+router.post('/appointments/:appointmentId',
+  can.assess,
+  [
+    param('appointmentId').isUUID().withMessage('Invalid appointment ID'),
+    body('acuity').isInt({ min: 1, max: 5 }).withMessage('Acuity must be between 1 (immediate) and 5 (non-urgent)').toInt(),
+    body('chiefComplaint').notEmpty().withMessage('Chief complaint is required'),
+    body('heartRate').optional().isInt({ min: 0, max: 300 }).withMessage('Heart rate must be 0-300 bpm').toInt(),
+    body('respiratoryRate').optional().isInt({ min: 0, max: 80 }).withMessage('Respiratory rate must be 0-80 breaths/min').toInt(),
+    body('systolicBp').optional().isInt({ min: 0, max: 300 }).withMessage('Systolic BP must be 0-300 mmHg').toInt(),
+    body('diastolicBp').optional().isInt({ min: 0, max: 200 }).withMessage('Diastolic BP must be 0-200 mmHg').toInt(),
+    body('temperature').optional().isFloat({ min: 25, max: 45 }).withMessage('Temperature must be 25-45 °C').toFloat(),
+    body('oxygenSaturation').optional().isInt({ min: 0, max: 100 }).withMessage('Oxygen saturation must be 0-100%').toInt(),
+    body('painScore').optional().isInt({ min: 0, max: 10 }).withMessage('Pain score must be 0-10').toInt(),
+    body('consciousness').optional().isIn(['ALERT', 'VOICE', 'PAIN', 'UNRESPONSIVE']).withMessage('Consciousness must be ALERT, VOICE, PAIN or UNRESPONSIVE')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const appointment = await prisma.appointment.findUnique({
+        where: {
+          id: req.params.appointmentId
+        }
+      });
+
+      if (!appointment) {
+        return res.status(404).json({ error: true, message: 'Appointment not found' });
+      }
+
+      if (appointment.type !== 'EMERGENCY') {
+        return res.status(400).json({ error: true, message: 'Only EMERGENCY appointments are triaged' });
+      }
+
+      if (!['SCHEDULED', 'IN_QUEUE'].includes(appointment.status)) {
+        return res.status(409).json({
+          error: true,
+          message: `Cannot triage an appointment that is ${appointment.status}`
+        });
+      }
+
+      const now = new Date();
+
+      const triage = await prisma.$transaction(async (prisma) => {
+        if (appointment.status === 'SCHEDULED') {
+          await changeAppointmentStatus(prisma, appointment, 'IN_QUEUE', {
+            changedById: req.user.id,
+            reason: 'Checked in at triage'
+          });
+        }
+
+        // A new assessment resets the wait alert, since the maximum wait may have changed
+        await prisma.appointment.update({
+          where: {
+            id: appointment.id
+          },
+          data: {
+            arrivedAt: appointment.arrivedAt || now,
+            waitAlertedAt: null
+          }
+        });
+
+        return prisma.triageAssessment.create({
+          data: {
+            appointmentId: appointment.id,
+            acuity: req.body.acuity,
+            chiefComplaint: req.body.chiefComplaint,
+            heartRate: req.body.heartRate,
+            respiratoryRate: req.body.respiratoryRate,
+            systolicBp: req.body.systolicBp,
+            diastolicBp: req.body.diastolicBp,
+            temperature: req.body.temperature,
+            oxygenSaturation: req.body.oxygenSaturation,
+            painScore: req.body.painScore,
+            consciousness: req.body.consciousness,
+            notes: req.body.notes,
+            assessedById: req.user.id
+          }
+        });
+      });
+
+      if (appointment.status === 'SCHEDULED') {
+        publishStatusChange({ ...appointment, status: 'IN_QUEUE' }, 'SCHEDULED');
+      }
+      publish('triage.assessed', {
+        appointmentId: appointment.id,
+        patientId: appointment.patientId,
+        doctorId: appointment.doctorId,
+        acuity: triage.acuity,
+        level: TRIAGE_LEVELS[triage.acuity].name
+      }, { doctorId: appointment.doctorId });
+      publishQueue(appointment.doctorId, appointment.date);
+
+      res.status(201).json({ ...triage, level: TRIAGE_LEVELS[triage.acuity] });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: true, message: error.message });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+export default router;
@@ -1,14 +1,29 @@
 import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
 import { prisma } from '../index.js';
+import { definePermissions, ROLES } from '../middleware/authorize.js';
+import { getAvailableSlots, toMinutes } from '../services/availability.js';
+import { feedUrl, issueCalendarToken, revokeCalendarTokens } from '../services/calendar.js';
 
 const router = express.Router();
 
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Role permission matrix for users routes
+const can = definePermissions('users', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST', 'INVENTORY_MANAGER'],
+  viewSchedule: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  editSchedule: ['ADMIN', 'DOCTOR'],
+  manage: ['ADMIN']
+});
+
 // Get all doctors
-router.get('/doctors', async (req, res) => {
+router.get('/doctors', can.list, async (req, res) => {
   try {
     const doctors = await prisma.user.findMany({
       where: {
-        role: 'DOCTOR'
+        role: 'DOCTOR',
+        active: true
       },
       select: {
         id: true,
@@ -23,4 +38,568 @@ router.get('/doctors', async (req, res) => {
   }
 });
 
+// Get a doctor's weekly schedule and upcoming leave
+router.get('/doctors/:id/schedule',
+  can.viewSchedule,
+  param('id').notEmpty().withMessage('Invalid doctor ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!doctor || doctor.role !== 'DOCTOR') {
+        return res.status(404).json({ error: true, message: 'Doctor not found' });
+      }
+
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+
+      const [schedule, leaves] = await Promise.all([
+        prisma.doctorSchedule.findUnique({
+          where: {
+            doctorId: req.params.id
+          },
+          include: {
+            hours: {
+              orderBy: [
+                {
+                  dayOfWeek: 'asc'
+                },
+                {
+                  startTime: 'asc'
+                }
+              ]
+            },
+            breaks: true
+          }
+        }),
+        prisma.doctorLeave.findMany({
+          where: {
+            doctorId: req.params.id,
+            endDate: {
+              gte: today
+            }
+          },
+          orderBy: {
+            startDate: 'asc'
+          }
+        })
+      ]);
+
+      res.json({ schedule, leaves });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Replace a doctor's weekly working hours, breaks and slot length
+router.put('/doctors/:id/schedule',
+  can.editSchedule,
+  [
+    param('id').notEmpty().withMessage('Invalid doctor ID'),
+    body('slotMinutes').isInt({ min: 5, max: 240 }).withMessage('Slot length must be between 5 and 240 minutes'),
+    body('hours').isArray({ min: 1 }).withMessage('At least one working hours entry is required'),
+    body('hours.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)'),
+    body('hours.*.startTime').matches(TIME_PATTERN).withMessage('Valid start time is required (HH:MM)'),
+    body('hours.*.endTime').matches(TIME_PATTERN).withMessage('Valid end time is required (HH:MM)'),
+    body('breaks').optional().isArray().withMessage('Breaks must be an array'),
+    body('breaks.*.dayOfWeek').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)'),
+    body('breaks.*.startTime').matches(TIME_PATTERN).withMessage('Valid break start time is required (HH:MM)'),
+    body('breaks.*.endTime').matches(TIME_PATTERN).withMessage('Valid break end time is required (HH:MM)')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Doctors may only edit their own schedule
+    if (req.user.role === 'DOCTOR' && req.user.id !== req.params.id) {
+      return res.status(403).json({ error: true, message: 'Doctors can only edit their own schedule' });
+    }
+
+    const breaks = req.body.breaks || [];
+    const invalidRange = [...req.body.hours, ...breaks].find(
+      range => toMinutes(range.startTime) >= toMinutes(range.endTime)
+    );
+
+    if (invalidRange) {
+      return res.status(400).json({
+        error: true,
+        message: `Start time ${invalidRange.startTime} must be before end time ${invalidRange.endTime}`
+      });
+    }
+
+    try {
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!doctor || doctor.role !== 'DOCTOR') {
+        return res.status(404).json({ error: true, message: 'Doctor not found' });
+      }
+
+      const schedule = await prisma.$transaction(async (prisma) => {
+        const saved = await prisma.doctorSchedule.upsert({
+          where: {
+            doctorId: req.params.id
+          },
+          update: {
+            slotMinutes: Number(req.body.slotMinutes)
+          },
+          create: {
+            doctorId: req.params.id,
+            slotMinutes: Number(req.body.slotMinutes)
+          }
+        });
+
+        await prisma.workingHours.deleteMany({
+          where: {
+            scheduleId: saved.id
+          }
+        });
+
+        await prisma.scheduleBreak.deleteMany({
+          where: {
+            scheduleId: saved.id
+          }
+        });
+
+        await prisma.workingHours.createMany({
+          data: req.body.hours.map(window => ({
+            scheduleId: saved.id,
+            dayOfWeek: Number(window.dayOfWeek),
+            startTime: window.startTime,
+            endTime: window.endTime
+          }))
+        });
+
+        await prisma.scheduleBreak.createMany({
+          data: breaks.map(pause => ({
+            scheduleId: saved.id,
+            dayOfWeek: pause.dayOfWeek === undefined || pause.dayOfWeek === null ? null : Number(pause.dayOfWeek),
+            startTime: pause.startTime,
+            endTime: pause.endTime
+          }))
+        });
+
+        return prisma.doctorSchedule.findUnique({
+          where: {
+            id: saved.id
+          },
+          include: {
+            hours: true,
+            breaks: true
+          }
+        });
+      });
+
+      res.json(schedule);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Record leave days for a doctor
+router.post('/doctors/:id/leave',
+  can.editSchedule,
+  [
+    param('id').notEmpty().withMessage('Invalid doctor ID'),
+    body('startDate').isDate().withMessage('Valid start date is required'),
+    body('endDate').isDate().withMessage('Valid end date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role === 'DOCTOR' && req.user.id !== req.params.id) {
+      return res.status(403).json({ error: true, message: 'Doctors can only edit their own schedule' });
+    }
+
+    if (new Date(req.body.endDate) < new Date(req.body.startDate)) {
+      return res.status(400).json({ error: true, message: 'End date must not be before start date' });
+    }
+
+    try {
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!doctor || doctor.role !== 'DOCTOR') {
+        return res.status(404).json({ error: true, message: 'Doctor not found' });
+      }
+
+      const leave = await prisma.doctorLeave.create({
+        data: {
+          doctorId: req.params.id,
+          startDate: new Date(req.body.startDate),
+          endDate: new Date(req.body.endDate),
+          reason: req.body.reason
+        }
+      });
+
+      res.status(201).json(leave);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Remove a leave entry
+router.delete('/doctors/:id/leave/:leaveId',
+  can.editSchedule,
+  [
+    param('id').notEmpty().withMessage('Invalid doctor ID'),
+    param('leaveId').isUUID().withMessage('Invalid leave ID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role === 'DOCTOR' && req.user.id !== req.params.id) {
+      return res.status(403).json({ error: true, message: 'Doctors can only edit their own schedule' });
+    }
+
+    try {
+      const leave = await prisma.doctorLeave.findUnique({
+        where: {
+          id: req.params.leaveId
+        }
+      });
+
+      if (!leave || leave.doctorId !== req.params.id) {
+        return res.status(404).json({ error: true, message: 'Leave entry not found' });
+      }
+
+      await prisma.doctorLeave.delete({
+        where: {
+          id: req.params.leaveId
+        }
+      });
+
+      res.json({ message: 'Leave entry deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Issue (or rotate) a doctor's calendar feed token. The feed only names patients by
+// initials unless includePatientDetails is set, since calendar services store what they fetch.
+router.post('/doctors/:id/calendar-token',
+  can.editSchedule,
+  [
+    param('id').notEmpty().withMessage('Invalid doctor ID'),
+    body('includePatientDetails').optional().isBoolean().withMessage('includePatientDetails must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role === 'DOCTOR' && req.user.id !== req.params.id) {
+      return res.status(403).json({ error: true, message: 'Doctors can only manage their own calendar feed' });
+    }
+
+    try {
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!doctor || doctor.role !== 'DOCTOR') {
+        return res.status(404).json({ error: true, message: 'Doctor not found' });
+      }
+
+      const token = await issueCalendarToken({
+        userId: doctor.id,
+        createdById: req.user.id,
+        includePatientDetails: req.body.includePatientDetails || false
+      });
+
+      res.status(201).json({ url: feedUrl(req, token) });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Revoke a doctor's calendar feed token (Clerk sessions are unaffected)
+router.delete('/doctors/:id/calendar-token',
+  can.editSchedule,
+  param('id').notEmpty().withMessage('Invalid doctor ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role === 'DOCTOR' && req.user.id !== req.params.id) {
+      return res.status(403).json({ error: true, message: 'Doctors can only manage their own calendar feed' });
+    }
+
+    try {
+      const revoked = await revokeCalendarTokens({ userId: req.params.id });
+
+      if (revoked === 0) {
+        return res.status(404).json({ error: true, message: 'No active calendar feed for this doctor' });
+      }
+
+      res.json({ message: 'Calendar feed revoked successfully' });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get free bookable slots for a doctor on a given date
+router.get('/doctors/:id/slots',
+  can.viewSchedule,
+  [
+    param('id').notEmpty().withMessage('Invalid doctor ID'),
+    query('date').isDate().withMessage('Valid date is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const doctor = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!doctor || doctor.role !== 'DOCTOR' || !doctor.active) {
+        return res.status(404).json({ error: true, message: 'Doctor not found' });
+      }
+
+      const availability = await getAvailableSlots(req.params.id, new Date(req.query.date));
+
+      if (!availability.configured) {
+        return res.status(404).json({ error: true, message: 'No schedule configured for this doctor' });
+      }
+
+      res.json(availability);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get all staff, optionally filtered by role and active flag
+router.get('/',
+  can.manage,
+  [
+    query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+    query('active').optional().isBoolean().withMessage('Active must be true or false')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const users = await prisma.user.findMany({
+        where: {
+          role: req.query.role,
+          active: req.query.active === undefined ? undefined : req.query.active === 'true'
+        },
+        orderBy: [
+          {
+            lastName: 'asc'
+          },
+          {
+            firstName: 'asc'
+          }
+        ]
+      });
+
+      res.json(users);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get a single user by ID
+router.get('/:id',
+  can.manage,
+  param('id').notEmpty().withMessage('Invalid user ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          _count: {
+            select: {
+              appointments: true,
+              admissions: true
+            }
+          }
+        }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: true, message: 'User not found' });
+      }
+
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Change a user's role
+router.put('/:id/role',
+  can.manage,
+  [
+    param('id').notEmpty().withMessage('Invalid user ID'),
+    body('role').isIn(ROLES).withMessage('Valid role is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: true, message: 'User not found' });
+      }
+
+      // Prevent admins from locking themselves out
+      if (user.id === req.user.id && req.body.role !== 'ADMIN') {
+        return res.status(400).json({ error: true, message: 'You cannot remove your own admin role' });
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: {
+          id: req.params.id
+        },
+        data: {
+          role: req.body.role
+        }
+      });
+
+      res.json(updatedUser);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Deactivate a user (history is kept, but they can no longer sign in or be assigned)
+router.post('/:id/deactivate',
+  can.manage,
+  param('id').notEmpty().withMessage('Invalid user ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: true, message: 'User not found' });
+      }
+
+      if (user.id === req.user.id) {
+        return res.status(400).json({ error: true, message: 'You cannot deactivate your own account' });
+      }
+
+      if (!user.active) {
+        return res.status(400).json({ error: true, message: 'User is already deactivated' });
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: {
+          id: req.params.id
+        },
+        data: {
+          active: false,
+          deactivatedAt: new Date()
+        }
+      });
+
+      res.json(updatedUser);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Reactivate a user
+router.post('/:id/reactivate',
+  can.manage,
+  param('id').notEmpty().withMessage('Invalid user ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: true, message: 'User not found' });
+      }
+
+      if (user.active) {
+        return res.status(400).json({ error: true, message: 'User is already active' });
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: {
+          id: req.params.id
+        },
+        data: {
+          active: true,
+          deactivatedAt: null
+        }
+      });
+
+      res.json(updatedUser);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
 export default router;
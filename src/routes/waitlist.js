@@ -0,0 +1,292 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { dayRange, toMinutes } from '../services/availability.js';
+import { acceptOffer, declineOffer } from '../services/waitlist.js';
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Role permission matrix for waitlist routes
+const can = definePermissions('waitlist', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  manage: ['ADMIN', 'RECEPTIONIST']
+});
+
+const entryInclude = {
+  patient: true,
+  doctor: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  },
+  windows: {
+    orderBy: {
+      startDate: 'asc'
+    }
+  }
+};
+
+// List waitlist entries
+router.get('/',
+  can.list,
+  [
+    query('status').optional().isIn(['WAITING', 'OFFERED', 'BOOKED', 'EXPIRED', 'CANCELLED']).withMessage('Invalid status'),
+    query('doctorId').optional().notEmpty().withMessage('Invalid doctor ID'),
+    query('patientId').optional().isUUID().withMessage('Invalid patient ID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const where = {};
+
+      if (req.query.status) {
+        where.status = req.query.status;
+      }
+
+      if (req.query.doctorId) {
+        where.doctorId = req.query.doctorId;
+      }
+
+      if (req.query.patientId) {
+        where.patientId = req.query.patientId;
+      }
+
+      const entries = await prisma.waitlistEntry.findMany({
+        where,
+        include: entryInclude,
+        orderBy: {
+          createdAt: 'asc'
+        }
+      });
+
+      res.json(entries);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get a waitlist entry with every offer made to it
+router.get('/:id',
+  can.view,
+  param('id').isUUID().withMessage('Invalid waitlist entry ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const entry = await prisma.waitlistEntry.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          ...entryInclude,
+          offers: {
+            include: {
+              appointment: true
+            },
+            orderBy: {
+              createdAt: 'asc'
+            }
+          }
+        }
+      });
+
+      if (!entry) {
+        return res.status(404).json({ error: true, message: 'Waitlist entry not found' });
+      }
+
+      res.json(entry);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Add a patient to a doctor's waitlist
+router.post('/',
+  can.manage,
+  [
+    body('patientId').isUUID().withMessage('Valid patient ID is required'),
+    body('doctorId').notEmpty().withMessage('Doctor ID is required'),
+    body('type').isIn(['GENERAL', 'FOLLOW_UP', 'SPECIALIST', 'EMERGENCY']).withMessage('Valid type is required'),
+    body('autoBook').optional().isBoolean().withMessage('autoBook must be a boolean'),
+    body('windows').isArray({ min: 1 }).withMessage('At least one preferred window is required'),
+    body('windows.*.startDate').isDate().withMessage('Valid window start date is required'),
+    body('windows.*.endDate').isDate().withMessage('Valid window end date is required'),
+    body('windows.*.startTime').optional().matches(TIME_PATTERN).withMessage('Valid window start time is required (HH:MM)'),
+    body('windows.*.endTime').optional().matches(TIME_PATTERN).withMessage('Valid window end time is required (HH:MM)')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const windows = req.body.windows.map(window => ({
+        startDate: dayRange(new Date(window.startDate)).start,
+        endDate: dayRange(new Date(window.endDate)).start,
+        startTime: window.startTime || null,
+        endTime: window.endTime || null
+      }));
+
+      const invalidWindow = windows.find(window =>
+        window.endDate < window.startDate ||
+        (window.startTime && window.endTime && toMinutes(window.endTime) <= toMinutes(window.startTime))
+      );
+
+      if (invalidWindow) {
+        return res.status(400).json({ error: true, message: 'Each window must end after it starts' });
+      }
+
+      const [patient, doctor] = await Promise.all([
+        prisma.patient.findUnique({
+          where: {
+            id: req.body.patientId
+          }
+        }),
+        prisma.user.findUnique({
+          where: {
+            id: req.body.doctorId
+          }
+        })
+      ]);
+
+      if (!patient) {
+        return res.status(404).json({ error: true, message: 'Patient not found' });
+      }
+
+      if (!doctor || doctor.role !== 'DOCTOR' || !doctor.active) {
+        return res.status(404).json({ error: true, message: 'Doctor not found' });
+      }
+
+      const entry = await prisma.waitlistEntry.create({
+        data: {
+          patientId: req.body.patientId,
+          doctorId: req.body.doctorId,
+          type: req.body.type,
+          autoBook: req.body.autoBook === true || req.body.autoBook === 'true',
+          notes: req.body.notes,
+          createdById: req.user.id,
+          windows: {
+            create: windows
+          }
+        },
+        include: entryInclude
+      });
+
+      res.status(201).json(entry);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Remove a patient from the waitlist
+router.delete('/:id',
+  can.manage,
+  param('id').isUUID().withMessage('Invalid waitlist entry ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const entry = await prisma.waitlistEntry.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!entry) {
+        return res.status(404).json({ error: true, message: 'Waitlist entry not found' });
+      }
+
+      if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+        return res.status(409).json({ error: true, message: `Waitlist entry is already ${entry.status}` });
+      }
+
+      const updated = await prisma.waitlistEntry.update({
+        where: {
+          id: entry.id
+        },
+        data: {
+          status: 'CANCELLED'
+        },
+        include: entryInclude
+      });
+
+      // An open offer is declined so its slot moves on to the next candidate
+      const openOffer = await prisma.waitlistOffer.findFirst({
+        where: {
+          entryId: entry.id,
+          status: 'OFFERED'
+        }
+      });
+
+      if (openOffer) {
+        await declineOffer(openOffer.id).catch(() => null);
+      }
+
+      res.json(updated);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Accept a held slot on the patient's behalf, booking the appointment
+router.post('/offers/:offerId/accept',
+  can.manage,
+  param('offerId').isUUID().withMessage('Invalid offer ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const appointment = await acceptOffer(req.params.offerId, req.user.id);
+      res.status(201).json(appointment);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: true, message: error.message });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Decline a held slot; the patient stays on the waitlist and the slot moves on
+router.post('/offers/:offerId/decline',
+  can.manage,
+  param('offerId').isUUID().withMessage('Invalid offer ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const offer = await declineOffer(req.params.offerId);
+      res.json(offer);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: true, message: error.message });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+export default router;
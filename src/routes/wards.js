@@ -0,0 +1,442 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { prisma } from '../index.js';
+import { definePermissions } from '../middleware/authorize.js';
+import { publish } from '../services/events.js';
+import { wardTreeInclude } from '../services/wards.js';
+
+const router = express.Router();
+
+// Role permission matrix for ward and room routes
+const can = definePermissions('wards', {
+  list: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  view: ['ADMIN', 'DOCTOR', 'RECEPTIONIST'],
+  manage: ['ADMIN']
+});
+
+const WARD_TYPES = ['GENERAL', 'ICU', 'EMERGENCY', 'PEDIATRIC', 'MATERNITY', 'PSYCHIATRIC'];
+
+const wardValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().withMessage('Ward name is required'),
+    field('type').isIn(WARD_TYPES).withMessage('Valid ward type is required'),
+    field('floor').isInt().withMessage('Floor must be a whole number').toInt(),
+    body('minAgeYears').optional({ nullable: true }).isInt({ min: 0, max: 150 }).withMessage('Minimum age must be 0-150').toInt(),
+    body('maxAgeYears').optional({ nullable: true }).isInt({ min: 0, max: 150 }).withMessage('Maximum age must be 0-150').toInt(),
+    body('singleGenderBays').optional().isBoolean().withMessage('singleGenderBays must be true or false').toBoolean(),
+    body('isolationCapable').optional().isBoolean().withMessage('isolationCapable must be true or false').toBoolean()
+  ];
+};
+
+const roomValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().withMessage('Room name is required'),
+    field('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1 bed').toInt(),
+    body('isolation').optional().isBoolean().withMessage('isolation must be true or false').toBoolean(),
+    body('gender').optional({ nullable: true }).isIn(['MALE', 'FEMALE', 'OTHER']).withMessage('Valid gender is required')
+  ];
+};
+
+// List wards with their rooms and bed counts
+router.get('/',
+  can.list,
+  query('type').optional().isIn(WARD_TYPES).withMessage('Invalid ward type'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const wards = await prisma.ward.findMany({
+        where: req.query.type ? { type: req.query.type } : undefined,
+        include: {
+          rooms: {
+            include: {
+              _count: {
+                select: {
+                  beds: true
+                }
+              }
+            },
+            orderBy: {
+              name: 'asc'
+            }
+          }
+        },
+        orderBy: [
+          { floor: 'asc' },
+          { name: 'asc' }
+        ]
+      });
+
+      res.json(wards);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Get a ward as a ward -> room -> bed tree
+router.get('/:id',
+  can.view,
+  param('id').isUUID().withMessage('Invalid ward ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const ward = await prisma.ward.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: wardTreeInclude
+      });
+
+      if (!ward) {
+        return res.status(404).json({ error: true, message: 'Ward not found' });
+      }
+
+      res.json(ward);
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Create a ward
+router.post('/',
+  can.manage,
+  wardValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.body.minAgeYears != null && req.body.maxAgeYears != null && req.body.minAgeYears > req.body.maxAgeYears) {
+      return res.status(400).json({ error: true, message: 'Minimum age cannot be above the maximum age' });
+    }
+
+    try {
+      const ward = await prisma.ward.create({
+        data: {
+          name: req.body.name,
+          type: req.body.type,
+          floor: req.body.floor,
+          nurseStation: req.body.nurseStation,
+          minAgeYears: req.body.minAgeYears,
+          maxAgeYears: req.body.maxAgeYears,
+          singleGenderBays: req.body.singleGenderBays,
+          isolationCapable: req.body.isolationCapable
+        }
+      });
+
+      publish('ward.created', ward, { ward: ward.type });
+
+      res.status(201).json(ward);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: true, message: 'Ward name already exists' });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Update a ward and its rules. Changing the type re-labels all of its beds.
+router.put('/:id',
+  can.manage,
+  [
+    param('id').isUUID().withMessage('Invalid ward ID'),
+    ...wardValidators(true)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const ward = await prisma.ward.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          rooms: true
+        }
+      });
+
+      if (!ward) {
+        return res.status(404).json({ error: true, message: 'Ward not found' });
+      }
+
+      const minAgeYears = req.body.minAgeYears !== undefined ? req.body.minAgeYears : ward.minAgeYears;
+      const maxAgeYears = req.body.maxAgeYears !== undefined ? req.body.maxAgeYears : ward.maxAgeYears;
+
+      if (minAgeYears != null && maxAgeYears != null && minAgeYears > maxAgeYears) {
+        return res.status(400).json({ error: true, message: 'Minimum age cannot be above the maximum age' });
+      }
+
+      if (req.body.isolationCapable === false && ward.rooms.some(room => room.isolation)) {
+        return res.status(409).json({ error: true, message: 'Ward still has isolation rooms' });
+      }
+
+      const updated = await prisma.$transaction(async (prisma) => {
+        if (req.body.type && req.body.type !== ward.type) {
+          await prisma.bed.updateMany({
+            where: {
+              room: {
+                wardId: ward.id
+              }
+            },
+            data: {
+              ward: req.body.type,
+              version: {
+                increment: 1
+              }
+            }
+          });
+        }
+
+        return prisma.ward.update({
+          where: {
+            id: ward.id
+          },
+          data: {
+            name: req.body.name,
+            type: req.body.type,
+            floor: req.body.floor,
+            nurseStation: req.body.nurseStation,
+            minAgeYears,
+            maxAgeYears,
+            singleGenderBays: req.body.singleGenderBays,
+            isolationCapable: req.body.isolationCapable
+          },
+          include: wardTreeInclude
+        });
+      });
+
+      publish('ward.updated', updated, { ward: updated.type });
+
+      res.json(updated);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: true, message: 'Ward name already exists' });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Delete a ward that has no rooms left
+router.delete('/:id',
+  can.manage,
+  param('id').isUUID().withMessage('Invalid ward ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const ward = await prisma.ward.findUnique({
+        where: {
+          id: req.params.id
+        },
+        include: {
+          _count: {
+            select: {
+              rooms: true
+            }
+          }
+        }
+      });
+
+      if (!ward) {
+        return res.status(404).json({ error: true, message: 'Ward not found' });
+      }
+
+      if (ward._count.rooms > 0) {
+        return res.status(400).json({ error: true, message: 'Cannot delete a ward that still has rooms' });
+      }
+
+      await prisma.ward.delete({
+        where: {
+          id: ward.id
+        }
+      });
+
+      res.json({ message: 'Ward deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Add a room to a ward
+router.post('/:id/rooms',
+  can.manage,
+  [
+    param('id').isUUID().withMessage('Invalid ward ID'),
+    ...roomValidators(false)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const ward = await prisma.ward.findUnique({
+        where: {
+          id: req.params.id
+        }
+      });
+
+      if (!ward) {
+        return res.status(404).json({ error: true, message: 'Ward not found' });
+      }
+
+      if (req.body.isolation && !ward.isolationCapable) {
+        return res.status(400).json({ error: true, message: `${ward.name} cannot hold isolation rooms` });
+      }
+
+      const room = await prisma.room.create({
+        data: {
+          wardId: ward.id,
+          name: req.body.name,
+          capacity: req.body.capacity,
+          isolation: req.body.isolation,
+          gender: req.body.gender
+        }
+      });
+
+      publish('ward.updated', { ...ward, room }, { ward: ward.type });
+
+      res.status(201).json(room);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: true, message: 'Room name already exists in this ward' });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Update a room
+router.put('/rooms/:roomId',
+  can.manage,
+  [
+    param('roomId').isUUID().withMessage('Invalid room ID'),
+    ...roomValidators(true)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const room = await prisma.room.findUnique({
+        where: {
+          id: req.params.roomId
+        },
+        include: {
+          ward: true,
+          beds: {
+            include: {
+              patient: true
+            }
+          }
+        }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: true, message: 'Room not found' });
+      }
+
+      if (req.body.capacity !== undefined && req.body.capacity < room.beds.length) {
+        return res.status(409).json({ error: true, message: `Room already has ${room.beds.length} beds` });
+      }
+
+      if (req.body.isolation && !room.ward.isolationCapable) {
+        return res.status(400).json({ error: true, message: `${room.ward.name} cannot hold isolation rooms` });
+      }
+
+      if (req.body.gender && room.beds.some(bed => bed.patient && bed.patient.gender !== req.body.gender)) {
+        return res.status(409).json({ error: true, message: 'Room has patients of another gender' });
+      }
+
+      const updated = await prisma.room.update({
+        where: {
+          id: room.id
+        },
+        data: {
+          name: req.body.name,
+          capacity: req.body.capacity,
+          isolation: req.body.isolation,
+          gender: req.body.gender
+        }
+      });
+
+      publish('ward.updated', { ...room.ward, room: updated }, { ward: room.ward.type });
+
+      res.json(updated);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: true, message: 'Room name already exists in this ward' });
+      }
+
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+// Delete a room that has no beds left
+router.delete('/rooms/:roomId',
+  can.manage,
+  param('roomId').isUUID().withMessage('Invalid room ID'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const room = await prisma.room.findUnique({
+        where: {
+          id: req.params.roomId
+        },
+        include: {
+          _count: {
+            select: {
+              beds: true
+            }
+          }
+        }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: true, message: 'Room not found' });
+      }
+
+      if (room._count.beds > 0) {
+        return res.status(400).json({ error: true, message: 'Cannot delete a room that still has beds' });
+      }
+
+      await prisma.room.delete({
+        where: {
+          id: room.id
+        }
+      });
+
+      res.json({ message: 'Room deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: true, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import { verifyClerkWebhook, syncClerkEvent } from '../services/clerkSync.js';
+
+const router = express.Router();
+
+// Clerk user sync (Svix signs the raw body, so it must not be JSON-parsed first)
+router.post('/clerk', express.raw({ type: 'application/json' }), async (req, res) => {
+  const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  let event;
+
+  try {
+    event = verifyClerkWebhook(payload, req.headers);
+  } catch (error) {
+    return res.status(400).json({ error: true, message: `Invalid webhook: ${error.message}` });
+  }
+
+  try {
+    const result = await syncClerkEvent(event);
+    res.json({ received: true, type: event.type, ...result });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: true,
+        message: 'Email address is already used by another user'
+      });
+    }
+
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+export default router;
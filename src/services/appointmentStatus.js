@@ -0,0 +1,94 @@
+import { publish } from './events.js';
+
+// Allowed appointment status transitions. COMPLETED, CANCELLED, RESCHEDULED and NO_SHOW are final;
+// RESCHEDULED is only set by the reschedule endpoint, which links the replacement booking.
+// NO_SHOW is set by reception or by the sweep once the appointment's day has ended.
+export const STATUS_TRANSITIONS = {
+  SCHEDULED: ['IN_QUEUE', 'CANCELLED', 'RESCHEDULED', 'NO_SHOW'],
+  IN_QUEUE: ['IN_PROGRESS', 'CANCELLED', 'RESCHEDULED'],
+  IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: [],
+  RESCHEDULED: [],
+  NO_SHOW: []
+};
+
+// Statuses a new appointment can be created in; everything later goes through the transitions
+export const INITIAL_STATUSES = ['SCHEDULED', 'IN_QUEUE'];
+
+// Statuses that no longer hold a slot in the doctor's day
+export const RELEASED_STATUSES = ['CANCELLED', 'RESCHEDULED'];
+
+export const canTransition = (fromStatus, toStatus) =>
+  (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Write a status history row; pass the transaction client when inside $transaction
+export const recordStatusChange = (client, { appointmentId, fromStatus = null, toStatus, changedById = null, reason }) =>
+  client.appointmentStatusHistory.create({
+    data: {
+      appointmentId,
+      fromStatus,
+      toStatus,
+      changedById,
+      reason: reason || null
+    }
+  });
+
+// Move an appointment to a new status and record who did it.
+// Throws a 409-tagged error when the transition is not allowed or the
+// appointment's status changed concurrently.
+export const changeAppointmentStatus = async (client, appointment, toStatus, { changedById, reason, data = {}, include } = {}) => {
+  if (!canTransition(appointment.status, toStatus)) {
+    const error = new Error(`Cannot change appointment status from ${appointment.status} to ${toStatus}`);
+    error.status = 409;
+    error.allowed = STATUS_TRANSITIONS[appointment.status] || [];
+    throw error;
+  }
+
+  // Only update if nobody else changed the status in the meantime
+  const { count } = await client.appointment.updateMany({
+    where: {
+      id: appointment.id,
+      status: appointment.status
+    },
+    data: {
+      ...data,
+      status: toStatus
+    }
+  });
+
+  if (count === 0) {
+    const error = new Error('Appointment status was changed by another request');
+    error.status = 409;
+    throw error;
+  }
+
+  const updated = await client.appointment.findUnique({
+    where: {
+      id: appointment.id
+    },
+    include
+  });
+
+  await recordStatusChange(client, {
+    appointmentId: appointment.id,
+    fromStatus: appointment.status,
+    toStatus,
+    changedById,
+    reason
+  });
+
+  return updated;
+};
+
+// Let live boards know an appointment changed status (call after the transaction commits)
+export const publishStatusChange = (appointment, fromStatus) => publish('appointment.status', {
+  appointmentId: appointment.id,
+  patientId: appointment.patientId,
+  doctorId: appointment.doctorId,
+  date: appointment.date,
+  time: appointment.time,
+  queueNumber: appointment.queueNumber,
+  fromStatus,
+  toStatus: appointment.status
+}, { doctorId: appointment.doctorId });
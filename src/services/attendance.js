@@ -0,0 +1,122 @@
+import { prisma } from '../index.js';
+import { appointmentStart, hospitalNow } from './calendar.js';
+import { changeAppointmentStatus, publishStatusChange } from './appointmentStatus.js';
+
+// Cancellations made closer than this to the appointment start count as late
+export const LATE_CANCELLATION_HOURS = Number(process.env.LATE_CANCELLATION_HOURS) || 24;
+
+// A patient is flagged as a habitual no-show once they have missed at least
+// this many appointments and this share of the appointments they were due at
+const FLAG_MIN_NO_SHOWS = 2;
+const FLAG_NO_SHOW_RATE = 25;
+
+// Appointments handled per sweep run, so a large backlog is worked off gradually
+const SWEEP_BATCH_SIZE = 200;
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+// Attendance summary for a patient, used by reception when booking
+export const getAttendanceStats = async (patientId, client = prisma) => {
+  const appointments = await client.appointment.findMany({
+    where: {
+      patientId
+    },
+    select: {
+      date: true,
+      time: true,
+      status: true,
+      statusHistory: {
+        // Cancellations made by the end-of-day sweep have no author and are not the patient's
+        where: {
+          toStatus: 'CANCELLED',
+          changedById: {
+            not: null
+          }
+        },
+        select: {
+          changedAt: true
+        },
+        take: 1
+      }
+    }
+  });
+
+  const stats = {
+    total: appointments.length,
+    completed: 0,
+    noShows: 0,
+    cancellations: 0,
+    lateCancellations: 0
+  };
+
+  appointments.forEach(appointment => {
+    if (appointment.status === 'COMPLETED') {
+      stats.completed++;
+    } else if (appointment.status === 'NO_SHOW') {
+      stats.noShows++;
+    } else if (appointment.status === 'CANCELLED') {
+      stats.cancellations++;
+
+      const [cancellation] = appointment.statusHistory;
+      const start = appointmentStart(appointment.date, appointment.time);
+
+      if (cancellation && start - cancellation.changedAt < LATE_CANCELLATION_HOURS * 60 * 60 * 1000) {
+        stats.lateCancellations++;
+      }
+    }
+  });
+
+  // Rates are percentages; the no-show rate only counts appointments the patient was due to attend
+  stats.noShowRate = percentage(stats.noShows, stats.completed + stats.noShows);
+  stats.lateCancellationRate = percentage(stats.lateCancellations, stats.total);
+  stats.habitualNoShow = stats.noShows >= FLAG_MIN_NO_SHOWS && stats.noShowRate >= FLAG_NO_SHOW_RATE;
+
+  return stats;
+};
+
+// Where the end-of-day sweep moves appointments left open from a past day: never checked
+// in is a no-show; checked in but never seen is closed as cancelled, as the patient came
+const SWEEP_TRANSITIONS = {
+  SCHEDULED: { toStatus: 'NO_SHOW', reason: 'Not attended by end of day' },
+  IN_QUEUE: { toStatus: 'CANCELLED', reason: 'Still in the queue at end of day' }
+};
+
+// Close appointments still open after their day has ended (see SWEEP_TRANSITIONS)
+export const markNoShows = async () => {
+  const stale = await prisma.appointment.findMany({
+    where: {
+      status: {
+        in: Object.keys(SWEEP_TRANSITIONS)
+      },
+      date: {
+        lt: hospitalNow().date
+      }
+    },
+    take: SWEEP_BATCH_SIZE,
+    orderBy: {
+      date: 'asc'
+    }
+  });
+
+  let marked = 0;
+
+  for (const appointment of stale) {
+    const { toStatus, reason } = SWEEP_TRANSITIONS[appointment.status];
+
+    try {
+      const updated = await prisma.$transaction(async (client) =>
+        changeAppointmentStatus(client, appointment, toStatus, { reason })
+      );
+
+      publishStatusChange(updated, appointment.status);
+      marked++;
+    } catch (error) {
+      // Someone changed the appointment in the meantime; leave it as they set it
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+  }
+
+  return marked;
+};
@@ -0,0 +1,187 @@
+import { prisma } from '../index.js';
+import { RELEASED_STATUSES } from './appointmentStatus.js';
+
+// Appointment length used when a doctor has no schedule configured
+export const DEFAULT_SLOT_MINUTES = 15;
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const toTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Appointment dates are stored as calendar days (midnight UTC)
+export const dayRange = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+
+  return { start, end };
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Load everything needed to reason about one doctor's day
+const loadDoctorDay = async (doctorId, date, client) => {
+  const { start, end } = dayRange(date);
+
+  const [schedule, leave, appointments, holds] = await Promise.all([
+    client.doctorSchedule.findUnique({
+      where: {
+        doctorId
+      },
+      include: {
+        hours: true,
+        breaks: true
+      }
+    }),
+    client.doctorLeave.findFirst({
+      where: {
+        doctorId,
+        startDate: {
+          lt: end
+        },
+        endDate: {
+          gte: start
+        }
+      }
+    }),
+    client.appointment.findMany({
+      where: {
+        doctorId,
+        date: {
+          gte: start,
+          lt: end
+        },
+        status: {
+          notIn: RELEASED_STATUSES
+        }
+      },
+      select: {
+        id: true,
+        time: true
+      }
+    }),
+    // Slots offered to a waitlisted patient are held until the offer expires
+    client.waitlistOffer.findMany({
+      where: {
+        doctorId,
+        date: {
+          gte: start,
+          lt: end
+        },
+        status: 'OFFERED',
+        expiresAt: {
+          gt: new Date()
+        }
+      },
+      select: {
+        id: true,
+        time: true
+      }
+    })
+  ]);
+
+  const dayOfWeek = start.getUTCDay();
+
+  return {
+    schedule,
+    leave,
+    appointments: [...appointments, ...holds.map(hold => ({ ...hold, held: true }))],
+    slotMinutes: schedule ? schedule.slotMinutes : DEFAULT_SLOT_MINUTES,
+    hours: schedule ? schedule.hours.filter(window => window.dayOfWeek === dayOfWeek) : [],
+    breaks: schedule
+      ? schedule.breaks.filter(pause => pause.dayOfWeek === null || pause.dayOfWeek === dayOfWeek)
+      : []
+  };
+};
+
+const isDuringBreak = (start, end, breaks) => breaks.some(pause =>
+  overlaps(start, end, toMinutes(pause.startTime), toMinutes(pause.endTime))
+);
+
+// Holds are waitlist offers, so an offer id only ever excludes a hold and an appointment id an appointment
+const findClash = (start, slotMinutes, appointments, { excludeAppointmentId, excludeOfferId } = {}) => appointments.find(appointment => {
+  if (appointment.id === (appointment.held ? excludeOfferId : excludeAppointmentId)) {
+    return false;
+  }
+
+  const other = toMinutes(appointment.time);
+  return overlaps(start, start + slotMinutes, other, other + slotMinutes);
+});
+
+// Free bookable slots for a doctor on a given day
+export const getAvailableSlots = async (doctorId, date, client = prisma) => {
+  const day = await loadDoctorDay(doctorId, date, client);
+
+  const result = {
+    date: dayRange(date).start.toISOString().split('T')[0],
+    configured: Boolean(day.schedule),
+    onLeave: Boolean(day.leave),
+    slotMinutes: day.slotMinutes,
+    slots: []
+  };
+
+  if (!day.schedule || day.leave) {
+    return result;
+  }
+
+  day.hours
+    .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime))
+    .forEach(window => {
+      const windowEnd = toMinutes(window.endTime);
+
+      for (let start = toMinutes(window.startTime); start + day.slotMinutes <= windowEnd; start += day.slotMinutes) {
+        const end = start + day.slotMinutes;
+
+        if (!isDuringBreak(start, end, day.breaks) && !findClash(start, day.slotMinutes, day.appointments)) {
+          result.slots.push(toTime(start));
+        }
+      }
+    });
+
+  return result;
+};
+
+// Returns a reason the booking cannot be made, or null when the slot is free.
+// Pass a waitlist offer id as excludeOfferId to book into the slot that offer holds.
+// Leave applies to every doctor; working hours and breaks only to doctors with a schedule.
+export const findBookingConflict = async (doctorId, date, time, { excludeAppointmentId, excludeOfferId, client = prisma } = {}) => {
+  const day = await loadDoctorDay(doctorId, date, client);
+  const start = toMinutes(time);
+  const end = start + day.slotMinutes;
+
+  if (day.leave) {
+    return 'Doctor is on leave on this date';
+  }
+
+  if (day.schedule) {
+    const withinHours = day.hours.some(window =>
+      start >= toMinutes(window.startTime) && end <= toMinutes(window.endTime)
+    );
+
+    if (!withinHours) {
+      return 'Requested time is outside the doctor\'s working hours';
+    }
+
+    if (isDuringBreak(start, end, day.breaks)) {
+      return 'Requested time falls within the doctor\'s break';
+    }
+  }
+
+  const clash = findClash(start, day.slotMinutes, day.appointments, { excludeAppointmentId, excludeOfferId });
+
+  if (clash) {
+    return clash.held
+      ? `Slot at ${clash.time} is held for a waitlisted patient`
+      : `Doctor already has an appointment at ${clash.time}`;
+  }
+
+  return null;
+};
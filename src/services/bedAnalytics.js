@@ -0,0 +1,201 @@
+import { prisma } from '../index.js';
+
+// Historical bed and admission statistics. Aggregation is done in SQL so long ranges
+// only move one row per day/group to the application.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inclusive YYYY-MM-DD bounds -> [from, to) instants, defaulting to the last 30 days
+export const analyticsRange = (fromDate, toDate) => {
+  const to = toDate ? new Date(toDate) : new Date();
+  to.setUTCHours(0, 0, 0, 0);
+  to.setUTCDate(to.getUTCDate() + 1);
+
+  const from = fromDate ? new Date(fromDate) : new Date(to.getTime() - 30 * DAY_MS);
+  from.setUTCHours(0, 0, 0, 0);
+
+  return { from, to, days: Math.round((to - from) / DAY_MS) };
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+const bedsPerWard = async () => {
+  const counts = await prisma.bed.groupBy({
+    by: ['ward'],
+    _count: {
+      id: true
+    }
+  });
+
+  return Object.fromEntries(counts.map(row => [row.ward, Number(row._count.id)]));
+};
+
+// Beds in use per ward for each day (any stay overlapping the day), with the average
+// occupancy rate and bed turnover (discharges per bed) over the range. Rates use the
+// current number of beds, since past bed counts are not recorded.
+export const getOccupancyHistory = async ({ from, to }) => {
+  const [daily, discharges, beds] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT d.day AS day, s."ward"::text AS ward, COUNT(DISTINCT s."bedId")::int AS occupied
+      FROM generate_series(${from}::timestamp, ${to}::timestamp - interval '1 day', interval '1 day') AS d(day)
+      JOIN "BedStay" s
+        ON s."startedAt" < d.day + interval '1 day'
+       AND (s."endedAt" IS NULL OR s."endedAt" > d.day)
+      GROUP BY d.day, s."ward"
+      ORDER BY d.day
+    `,
+    prisma.$queryRaw`
+      SELECT b."ward"::text AS ward, COUNT(*)::int AS discharges
+      FROM "Admission" a
+      JOIN "Bed" b ON b."id" = a."bedId"
+      WHERE a."status" <> 'ACTIVE'
+        AND a."dischargeDate" >= ${from}
+        AND a."dischargeDate" < ${to}
+      GROUP BY b."ward"
+    `,
+    bedsPerWard()
+  ]);
+
+  const days = new Map();
+
+  const emptyWard = (ward) => ({ occupied: 0, beds: beds[ward] || 0, rate: beds[ward] ? 0 : null });
+
+  for (let time = from.getTime(); time < to.getTime(); time += DAY_MS) {
+    days.set(toDateString(new Date(time)), Object.fromEntries(Object.keys(beds).map(ward => [ward, emptyWard(ward)])));
+  }
+
+  const occupiedDays = {};
+
+  daily.forEach(row => {
+    const date = toDateString(new Date(row.day));
+    const total = beds[row.ward] || 0;
+
+    days.get(date)[row.ward] = {
+      occupied: row.occupied,
+      beds: total,
+      rate: total > 0 ? round(row.occupied / total * 100, 1) : null
+    };
+    occupiedDays[row.ward] = (occupiedDays[row.ward] || 0) + row.occupied;
+  });
+
+  const wardNames = new Set([...Object.keys(beds), ...Object.keys(occupiedDays)]);
+  const wards = {};
+
+  wardNames.forEach(ward => {
+    const total = beds[ward] || 0;
+    const averageOccupied = (occupiedDays[ward] || 0) / days.size;
+    const wardDischarges = (discharges.find(row => row.ward === ward) || { discharges: 0 }).discharges;
+
+    wards[ward] = {
+      beds: total,
+      averageOccupied: round(averageOccupied),
+      averageRate: total > 0 ? round(averageOccupied / total * 100, 1) : null,
+      discharges: wardDischarges,
+      turnover: total > 0 ? round(wardDischarges / total) : null
+    };
+  });
+
+  return {
+    wards,
+    days: [...days.entries()].map(([date, byWard]) => ({ date, wards: byWard }))
+  };
+};
+
+// Average and median length of stay in days of admissions discharged in [from, to),
+// overall and per ward (where the stay ended), attending doctor and diagnosis
+export const getLengthOfStay = async ({ from, to }) => {
+  const rows = await prisma.$queryRaw`
+    WITH stays AS (
+      SELECT b."ward"::text AS ward,
+             a."doctorId" AS "doctorId",
+             COALESCE(NULLIF(lower(trim(a."diagnosis")), ''), 'unspecified') AS diagnosis,
+             EXTRACT(EPOCH FROM (a."dischargeDate" - a."admissionDate")) / 86400 AS days
+      FROM "Admission" a
+      JOIN "Bed" b ON b."id" = a."bedId"
+      WHERE a."status" <> 'ACTIVE'
+        AND a."dischargeDate" >= ${from}
+        AND a."dischargeDate" < ${to}
+    )
+    SELECT ward, "doctorId", diagnosis,
+           GROUPING(ward)::int AS "noWard",
+           GROUPING("doctorId")::int AS "noDoctor",
+           GROUPING(diagnosis)::int AS "noDiagnosis",
+           COUNT(*)::int AS admissions,
+           AVG(days)::float AS "averageDays",
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY days) AS "medianDays"
+    FROM stays
+    GROUP BY GROUPING SETS ((), (ward), ("doctorId"), (diagnosis))
+  `;
+
+  const summary = (row) => ({
+    admissions: row.admissions,
+    averageDays: round(row.averageDays),
+    medianDays: round(row.medianDays)
+  });
+
+  const overall = rows.find(row => row.noWard && row.noDoctor && row.noDiagnosis);
+  const doctorRows = rows.filter(row => !row.noDoctor);
+
+  const doctors = await prisma.user.findMany({
+    where: {
+      id: {
+        in: doctorRows.map(row => row.doctorId)
+      }
+    },
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  });
+
+  const byCount = (a, b) => b.admissions - a.admissions;
+
+  return {
+    overall: overall ? summary(overall) : { admissions: 0, averageDays: null, medianDays: null },
+    byWard: rows.filter(row => !row.noWard).map(row => ({ ward: row.ward, ...summary(row) })).sort(byCount),
+    byDoctor: doctorRows
+      .map(row => ({ doctor: doctors.find(doctor => doctor.id === row.doctorId), ...summary(row) }))
+      .sort(byCount),
+    byDiagnosis: rows.filter(row => !row.noDiagnosis).map(row => ({ diagnosis: row.diagnosis, ...summary(row) })).sort(byCount)
+  };
+};
+
+// Share of admissions discharged in [from, to) followed by another admission of the
+// same patient within `windowDays` days, overall and per discharging ward
+export const getReadmissions = async ({ from, to, windowDays = 30 }) => {
+  const rows = await prisma.$queryRaw`
+    SELECT b."ward"::text AS ward,
+           COUNT(*)::int AS discharges,
+           COUNT(*) FILTER (WHERE EXISTS (
+             SELECT 1
+             FROM "Admission" n
+             WHERE n."patientId" = a."patientId"
+               AND n."id" <> a."id"
+               AND n."admissionDate" >= date_trunc('day', a."dischargeDate")
+               AND n."admissionDate" < a."dischargeDate" + make_interval(days => ${windowDays}::int)
+           ))::int AS readmissions
+    FROM "Admission" a
+    JOIN "Bed" b ON b."id" = a."bedId"
+    WHERE a."status" <> 'ACTIVE'
+      AND a."dischargeDate" >= ${from}
+      AND a."dischargeDate" < ${to}
+    GROUP BY ROLLUP (b."ward")
+  `;
+
+  const summary = (row) => ({
+    discharges: row.discharges,
+    readmissions: row.readmissions,
+    rate: row.discharges > 0 ? round(row.readmissions / row.discharges * 100, 1) : null
+  });
+
+  const overall = rows.find(row => row.ward === null);
+
+  return {
+    windowDays,
+    overall: overall ? summary(overall) : { discharges: 0, readmissions: 0, rate: null },
+    byWard: rows.filter(row => row.ward !== null).map(row => ({ ward: row.ward, ...summary(row) }))
+  };
+};
@@ -0,0 +1,182 @@
+import { prisma } from '../index.js';
+import { ageInYears, placementViolations } from './wards.js';
+
+// Points for each factor. Placement rules are not scored: beds that break them are excluded.
+export const RECOMMENDATION_WEIGHTS = {
+  doctorSameRoom: 15,
+  doctorSameWard: 30,
+  doctorSameFloor: 10,
+  sameGenderRoom: 20,
+  emptyRoom: 10,
+  mixedGenderRoom: -25,
+  spareIsolationRoom: -40
+};
+
+const roommateSelect = {
+  isolationRequired: true,
+  patient: {
+    select: {
+      gender: true
+    }
+  },
+  bed: {
+    select: {
+      roomId: true
+    }
+  }
+};
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// Score one candidate bed, returning the factors that make up the score
+const scoreBed = ({ bed, patient, roommates, doctorBeds, isolationRequired }) => {
+  const { room } = bed;
+  const factors = [];
+  const add = (factor, points, detail) => factors.push({ factor, points, detail });
+
+  if (room.ward.minAgeYears !== null || room.ward.maxAgeYears !== null) {
+    add('age', 0, `Age ${ageInYears(patient.dateOfBirth)} is within the limits of ${room.ward.name}`);
+  }
+
+  if (isolationRequired) {
+    add('isolation', 0, `Room ${room.name} is an isolation room`);
+  } else if (room.isolation) {
+    add('isolation', RECOMMENDATION_WEIGHTS.spareIsolationRoom, `Keeps isolation room ${room.name} free for patients who need it`);
+  }
+
+  if (roommates.length === 0) {
+    add('gender', RECOMMENDATION_WEIGHTS.emptyRoom, `Room ${room.name} is empty`);
+  } else if (roommates.every(roommate => roommate.patient.gender === patient.gender)) {
+    add('gender', RECOMMENDATION_WEIGHTS.sameGenderRoom, `Shares room ${room.name} with ${pluralize(roommates.length, 'patient')} of the same gender`);
+  } else {
+    add('gender', RECOMMENDATION_WEIGHTS.mixedGenderRoom, `Would make room ${room.name} mixed-gender`);
+  }
+
+  if (doctorBeds) {
+    const inRoom = doctorBeds.filter(other => other.roomId === room.id).length;
+    const inWard = doctorBeds.filter(other => other.room.wardId === room.wardId).length;
+    const onFloor = doctorBeds.filter(other => other.room.wardId !== room.wardId && other.room.ward.floor === room.ward.floor).length;
+
+    if (inWard > 0) {
+      add('doctor', RECOMMENDATION_WEIGHTS.doctorSameWard, `${pluralize(inWard, 'other inpatient')} of the attending doctor on ${room.ward.name}`);
+    } else if (onFloor > 0) {
+      add('doctor', RECOMMENDATION_WEIGHTS.doctorSameFloor, `${pluralize(onFloor, 'other inpatient')} of the attending doctor on floor ${room.ward.floor}`);
+    } else {
+      add('doctor', 0, 'No other inpatients of the attending doctor nearby');
+    }
+
+    if (inRoom > 0) {
+      add('doctor', RECOMMENDATION_WEIGHTS.doctorSameRoom, `${pluralize(inRoom, 'other inpatient')} of the attending doctor in room ${room.name}`);
+    }
+  }
+
+  return {
+    score: factors.reduce((sum, factor) => sum + factor.points, 0),
+    factors
+  };
+};
+
+// Rank AVAILABLE beds for a patient. Beds whose ward or room rules the patient breaks
+// are left out and only counted; the rest are scored and returned best first.
+export const recommendBeds = async ({ patient, wardType, isolationRequired = false, doctorId, limit = 5 }) => {
+  const beds = await prisma.bed.findMany({
+    where: {
+      status: 'AVAILABLE',
+      ward: wardType
+    },
+    include: {
+      room: {
+        include: {
+          ward: true
+        }
+      }
+    }
+  });
+
+  const roomIds = [...new Set(beds.map(bed => bed.roomId))];
+
+  const occupants = await prisma.admission.findMany({
+    where: {
+      status: 'ACTIVE',
+      patientId: {
+        not: patient.id
+      },
+      bed: {
+        roomId: {
+          in: roomIds
+        }
+      }
+    },
+    select: roommateSelect
+  });
+
+  // Beds of the attending doctor's other inpatients, wherever they are
+  const doctorBeds = doctorId
+    ? (await prisma.admission.findMany({
+      where: {
+        status: 'ACTIVE',
+        doctorId,
+        patientId: {
+          not: patient.id
+        }
+      },
+      select: {
+        bed: {
+          select: {
+            roomId: true,
+            room: {
+              select: {
+                wardId: true,
+                ward: {
+                  select: {
+                    floor: true
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    })).map(admission => admission.bed)
+    : null;
+
+  const recommendations = [];
+  let excluded = 0;
+
+  beds.forEach(bed => {
+    const roommates = occupants.filter(occupant => occupant.bed.roomId === bed.roomId);
+
+    if (placementViolations({ patient, room: bed.room, roommates, isolationRequired }).length > 0) {
+      excluded++;
+      return;
+    }
+
+    const { room, ...rest } = bed;
+
+    recommendations.push({
+      bed: {
+        ...rest,
+        room: {
+          id: room.id,
+          name: room.name,
+          isolation: room.isolation,
+          ward: {
+            id: room.ward.id,
+            name: room.ward.name,
+            floor: room.ward.floor,
+            nurseStation: room.ward.nurseStation
+          }
+        }
+      },
+      ...scoreBed({ bed, patient, roommates, doctorBeds, isolationRequired })
+    });
+  });
+
+  recommendations.sort((a, b) => b.score - a.score || a.bed.bedNumber.localeCompare(b.bed.bedNumber));
+
+  return {
+    candidates: beds.length,
+    excluded,
+    recommendations: recommendations.slice(0, limit)
+  };
+};
@@ -0,0 +1,290 @@
+import { prisma } from '../index.js';
+import { publish } from './events.js';
+import { cancelOpenCleanings } from './housekeeping.js';
+
+const bedSelect = {
+  id: true,
+  bedNumber: true,
+  ward: true,
+  status: true,
+  patientId: true
+};
+
+const freeBed = {
+  status: 'AVAILABLE',
+  patientId: null,
+  admissionDate: null,
+  expectedDischargeDate: null,
+  version: {
+    increment: 1
+  }
+};
+
+const bedNumbers = (beds) => beds.map(bed => bed.bedNumber).join(', ');
+
+// Find every disagreement between bed occupancy and ACTIVE admissions. Issue ids are
+// "<type>:<record id>", stable across runs, so findings of a dry run can be picked for repair.
+export const findBedInconsistencies = async (client = prisma) => {
+  const beds = await client.bed.findMany({
+    where: {
+      OR: [
+        { status: 'OCCUPIED' },
+        { patientId: { not: null } }
+      ]
+    },
+    select: bedSelect
+  });
+
+  const admissions = await client.admission.findMany({
+    where: {
+      status: 'ACTIVE'
+    },
+    select: {
+      id: true,
+      patientId: true,
+      bedId: true,
+      bed: {
+        select: bedSelect
+      }
+    }
+  });
+
+  const admissionByBed = new Map(admissions.map(admission => [admission.bedId, admission]));
+  const admissionByPatient = new Map(admissions.map(admission => [admission.patientId, admission]));
+  const issues = [];
+
+  // Patients recorded in more than one bed. Their beds are reported here only.
+  const bedsByPatient = new Map();
+
+  beds.filter(bed => bed.patientId).forEach(bed => {
+    bedsByPatient.set(bed.patientId, [...(bedsByPatient.get(bed.patientId) || []), bed]);
+  });
+
+  const multiBedPatients = new Set();
+
+  bedsByPatient.forEach((patientBeds, patientId) => {
+    if (patientBeds.length < 2) {
+      return;
+    }
+
+    multiBedPatients.add(patientId);
+
+    const admission = admissionByPatient.get(patientId);
+    const kept = admission && patientBeds.find(bed => bed.id === admission.bedId);
+    const extra = patientBeds.filter(bed => bed !== kept);
+
+    issues.push({
+      id: `PATIENT_IN_MULTIPLE_BEDS:${patientId}`,
+      type: 'PATIENT_IN_MULTIPLE_BEDS',
+      message: `Patient is recorded in ${patientBeds.length} beds (${bedNumbers(patientBeds)})`,
+      patientId,
+      admissionId: admission ? admission.id : null,
+      bedIds: patientBeds.map(bed => bed.id),
+      repair: {
+        action: 'VACATE_EXTRA_BEDS',
+        description: kept
+          ? `Keep ${kept.bedNumber}, the bed of the active admission, and free ${bedNumbers(extra)}`
+          : `Free ${bedNumbers(extra)}; none of them holds an active admission of the patient`,
+        bedIds: extra.map(bed => bed.id)
+      }
+    });
+  });
+
+  // Beds that show a patient, or are OCCUPIED, with no active admission behind them
+  beds.forEach(bed => {
+    if (admissionByBed.has(bed.id) || multiBedPatients.has(bed.patientId)) {
+      return;
+    }
+
+    if (bed.status === 'OCCUPIED') {
+      issues.push({
+        id: `ORPHANED_OCCUPANCY:${bed.id}`,
+        type: 'ORPHANED_OCCUPANCY',
+        message: `Bed ${bed.bedNumber} is OCCUPIED but has no active admission`,
+        patientId: bed.patientId,
+        admissionId: null,
+        bedIds: [bed.id],
+        repair: {
+          action: 'VACATE_BED',
+          description: `Free ${bed.bedNumber} and clear its patient`,
+          bedIds: [bed.id]
+        }
+      });
+    } else {
+      issues.push({
+        id: `STALE_BED_PATIENT:${bed.id}`,
+        type: 'STALE_BED_PATIENT',
+        message: `Bed ${bed.bedNumber} is ${bed.status} but still names a patient`,
+        patientId: bed.patientId,
+        admissionId: null,
+        bedIds: [bed.id],
+        repair: {
+          action: 'CLEAR_BED_PATIENT',
+          description: `Clear the patient of ${bed.bedNumber}, keeping it ${bed.status}`,
+          bedIds: [bed.id]
+        }
+      });
+    }
+  });
+
+  // Active admissions whose bed does not show the admitted patient
+  admissions.forEach(admission => {
+    const { bed } = admission;
+
+    if (bed.status === 'OCCUPIED' && bed.patientId === admission.patientId) {
+      return;
+    }
+
+    const otherPatient = bed.patientId && bed.patientId !== admission.patientId;
+
+    issues.push({
+      id: `ADMISSION_ON_FREE_BED:${admission.id}`,
+      type: 'ADMISSION_ON_FREE_BED',
+      message: otherPatient
+        ? `Active admission is in bed ${bed.bedNumber}, which names another patient`
+        : `Active admission is in bed ${bed.bedNumber}, which is ${bed.status}`,
+      patientId: admission.patientId,
+      admissionId: admission.id,
+      bedIds: [bed.id],
+      // A held bed belongs to its reservation; that has to be sorted out by hand
+      repair: bed.status === 'RESERVED'
+        ? null
+        : {
+          action: 'OCCUPY_BED',
+          description: `Mark ${bed.bedNumber} OCCUPIED by the admitted patient`,
+          bedIds: [bed.id]
+        }
+    });
+  });
+
+  return issues;
+};
+
+const applyRepair = async (client, issue) => {
+  const { action, bedIds } = issue.repair;
+
+  if (action === 'OCCUPY_BED') {
+    const admission = await client.admission.findUnique({
+      where: {
+        id: issue.admissionId
+      }
+    });
+
+    // A bed waiting for cleaning is taken as is; its cleaning task no longer applies
+    await cancelOpenCleanings(client, [admission.bedId]);
+
+    await client.bed.update({
+      where: {
+        id: admission.bedId
+      },
+      data: {
+        status: 'OCCUPIED',
+        patientId: admission.patientId,
+        admissionDate: admission.admissionDate,
+        version: {
+          increment: 1
+        }
+      }
+    });
+  } else if (action === 'CLEAR_BED_PATIENT') {
+    await client.bed.updateMany({
+      where: {
+        id: {
+          in: bedIds
+        }
+      },
+      data: {
+        patientId: null,
+        admissionDate: null,
+        expectedDischargeDate: null,
+        version: {
+          increment: 1
+        }
+      }
+    });
+  } else {
+    await cancelOpenCleanings(client, bedIds);
+    await client.bed.updateMany({
+      where: {
+        id: {
+          in: bedIds
+        }
+      },
+      data: freeBed
+    });
+  }
+};
+
+// Repair the selected issues in one transaction, re-detecting first so only issues that
+// still exist are touched. A dry run reports what would be done without writing.
+export const repairBedInconsistencies = async ({ issueIds, dryRun = false, performedById }) => {
+  const result = await prisma.$transaction(async (client) => {
+    const issues = new Map((await findBedInconsistencies(client)).map(issue => [issue.id, issue]));
+    const repairs = [];
+    const skipped = [];
+
+    issueIds.forEach(id => {
+      const issue = issues.get(id);
+
+      if (!issue) {
+        skipped.push({ id, reason: 'No longer detected' });
+      } else if (!issue.repair) {
+        skipped.push({ id, reason: 'No automatic repair available' });
+      } else {
+        repairs.push(issue);
+      }
+    });
+
+    // Free beds before occupying them, so an admission can take over a bed another repair clears
+    repairs.sort((a, b) => (a.repair.action === 'OCCUPY_BED') - (b.repair.action === 'OCCUPY_BED'));
+
+    if (dryRun) {
+      return { dryRun, repairs, skipped };
+    }
+
+    for (const issue of repairs) {
+      await applyRepair(client, issue);
+    }
+
+    const auditEntry = await client.auditEntry.create({
+      data: {
+        action: 'BED_RECONCILIATION',
+        details: {
+          repairs,
+          skipped
+        },
+        performedById
+      }
+    });
+
+    const beds = await client.bed.findMany({
+      where: {
+        id: {
+          in: repairs.flatMap(issue => issue.repair.bedIds)
+        }
+      }
+    });
+
+    return { dryRun, repairs, skipped, auditEntryId: auditEntry.id, beds };
+  }, { isolationLevel: 'Serializable' });
+
+  if (!dryRun) {
+    result.beds.forEach(bed => publish('bed.status', bed, { ward: bed.ward }));
+  }
+
+  return result;
+};
+
+// Periodic check: report inconsistencies to subscribers without changing anything
+export const checkBedConsistency = async () => {
+  const issues = await findBedInconsistencies();
+
+  if (issues.length > 0) {
+    publish('beds.inconsistent', {
+      count: issues.length,
+      issues: issues.map(({ id, type, message }) => ({ id, type, message }))
+    });
+  }
+
+  return issues.length;
+};
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { prisma } from '../index.js';
+import { DEFAULT_SLOT_MINUTES, toMinutes, toTime } from './availability.js';
+
+// Appointment times are wall-clock times in the hospital's timezone
+export const HOSPITAL_TIMEZONE = process.env.HOSPITAL_TIMEZONE || 'UTC';
+
+const PRODUCT_ID = '-//MediConnect//Appointments//EN';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only a hash of each feed token is stored; the raw token is shown once when issued
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new feed token for a doctor or patient, revoking any previous one
+export const issueCalendarToken = async ({ userId = null, patientId = null, createdById, includePatientDetails = false }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.$transaction([
+    prisma.calendarToken.updateMany({
+      where: {
+        userId,
+        patientId,
+        revokedAt: null
+      },
+      data: {
+        revokedAt: new Date()
+      }
+    }),
+    prisma.calendarToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId,
+        patientId,
+        createdById,
+        includePatientDetails
+      }
+    })
+  ]);
+
+  return token;
+};
+
+export const revokeCalendarTokens = async ({ userId = null, patientId = null }) => {
+  const { count } = await prisma.calendarToken.updateMany({
+    where: {
+      userId,
+      patientId,
+      revokedAt: null
+    },
+    data: {
+      revokedAt: new Date()
+    }
+  });
+
+  return count;
+};
+
+export const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+// RFC 5545 text escaping and 75-octet line folding
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const formatLocal = (date, time) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${toTime(toMinutes(time)).replace(':', '')}00`;
+
+// UTC offset of a timezone at an instant, in minutes
+const offsetMinutes = (timeZone, instant) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(instant)
+    .find(part => part.type === 'timeZoneName').value;
+
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) {
+    return 0;
+  }
+
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// Today's calendar day (midnight UTC, like appointment dates) and the minutes
+// past midnight on the hospital's wall clock
+export const hospitalNow = (timeZone = HOSPITAL_TIMEZONE, now = new Date()) => {
+  const local = new Date(now.getTime() + offsetMinutes(timeZone, now) * 60 * 1000);
+
+  return {
+    date: new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+};
+
+// The instant an appointment starts, from its calendar date and wall-clock time
+export const appointmentStart = (date, time, timeZone = HOSPITAL_TIMEZONE) => {
+  const wallClock = new Date(date.getTime() + toMinutes(time) * 60 * 1000);
+  return new Date(wallClock.getTime() - offsetMinutes(timeZone, wallClock) * 60 * 1000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// Build a VTIMEZONE with the actual offset transitions between two years, derived from
+// the runtime's IANA timezone data so no external tzdata is needed.
+export const buildVTimezone = (timeZone, fromYear, toYear) => {
+  const transitions = [];
+  let cursor = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let previous = offsetMinutes(timeZone, new Date(cursor));
+  const initial = previous;
+
+  // Step a day at a time, then narrow each change down to the hour it happened
+  while (cursor < end) {
+    const next = cursor + 24 * HOUR_MS;
+    const offset = offsetMinutes(timeZone, new Date(next));
+
+    if (offset !== previous) {
+      let changedAt = cursor + HOUR_MS;
+      while (offsetMinutes(timeZone, new Date(changedAt)) === previous) {
+        changedAt += HOUR_MS;
+      }
+      transitions.push({ instant: new Date(changedAt), from: previous, to: offset });
+      previous = offset;
+    }
+
+    cursor = next;
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(initial)}`,
+      `TZOFFSETTO:${formatOffset(initial)}`,
+      'END:STANDARD'
+    );
+  }
+
+  const standardOffset = Math.min(initial, ...transitions.map(transition => transition.to));
+
+  transitions.forEach(transition => {
+    const kind = transition.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the local wall-clock time of the change, in the offset before it
+    const local = new Date(transition.instant.getTime() + transition.from * 60 * 1000);
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatUtc(local).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `END:${kind}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Render appointments as an iCalendar feed. `describe` returns { summary, description } per appointment.
+export const buildCalendar = (name, appointments, describe, { timeZone = HOSPITAL_TIMEZONE, slotMinutes = {} } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  const useUtc = timeZone === 'UTC';
+
+  if (!useUtc) {
+    lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+    if (appointments.length > 0) {
+      const years = appointments.map(appointment => appointment.date.getUTCFullYear());
+      lines.push(...buildVTimezone(timeZone, Math.min(...years), Math.max(...years)));
+    }
+  }
+
+  appointments.forEach(appointment => {
+    const { summary, description } = describe(appointment);
+    const duration = slotMinutes[appointment.doctorId] || DEFAULT_SLOT_MINUTES;
+    const cancelled = ['CANCELLED', 'RESCHEDULED'].includes(appointment.status);
+
+    const start = useUtc
+      ? `DTSTART:${formatUtc(new Date(appointment.date.getTime() + toMinutes(appointment.time) * 60 * 1000))}`
+      : `DTSTART;TZID=${timeZone}:${formatLocal(appointment.date, appointment.time)}`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${appointment.id}@mediconnect`,
+      `DTSTAMP:${formatUtc(appointment.updatedAt)}`,
+      `LAST-MODIFIED:${formatUtc(appointment.updatedAt)}`,
+      // Each status change is one revision, so calendar clients pick up updates
+      `SEQUENCE:${appointment._count ? appointment._count.statusHistory : 0}`,
+      start,
+      `DURATION:PT${duration}M`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,293 @@
+import { prisma } from '../index.js';
+import { appointmentStart, hospitalNow } from './calendar.js';
+
+// Discharge capacity forecast. Each current inpatient, incoming reservation and expected
+// unplanned arrival is modelled as an independent chance of occupying a bed at the end
+// of each forecast day; the band is a normal approximation of their sum.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Discharges used to build the length-of-stay distributions
+const HISTORY_DAYS = 365;
+// Window used to estimate the daily unplanned (non-reserved) admission rate
+const INFLOW_DAYS = 90;
+// Fewer past stays than this and a diagnosis falls back to its ward, then to all wards
+const MIN_SAMPLES = 10;
+// Assumed stay when there is no history at all
+const DEFAULT_LOS_DAYS = 5;
+// z-score of the two-sided 95% band
+const Z_95 = 1.96;
+
+const normalizeDiagnosis = (diagnosis) => (diagnosis && diagnosis.trim().toLowerCase()) || 'unspecified';
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+// Hospital calendar day `offset` days after `date`, and the instant it ends (local midnight)
+const calendarDay = (date, offset) => new Date(date.getTime() + offset * DAY_MS);
+const endOfDay = (date) => appointmentStart(calendarDay(date, 1), '00:00');
+
+// Share of past stays longer than `days`; `sorted` is ascending
+const survival = (sorted, days) => {
+  let low = 0;
+  let high = sorted.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] <= days) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (sorted.length - low) / sorted.length;
+};
+
+// Chance that a patient who has been in for `elapsed` days is still in `ahead` days later
+const stillAdmitted = (sorted, elapsed, ahead) => {
+  if (!sorted) {
+    return elapsed + ahead < DEFAULT_LOS_DAYS ? 1 : 0;
+  }
+
+  const base = survival(sorted, elapsed);
+
+  // Already longer than every past stay: nothing to go on, so plan for them staying
+  if (base === 0) {
+    return 1;
+  }
+
+  return survival(sorted, elapsed + ahead) / base;
+};
+
+const loadDistributions = async (now) => {
+  const since = new Date(now.getTime() - HISTORY_DAYS * DAY_MS);
+
+  const stays = await prisma.$queryRaw`
+    SELECT b."ward"::text AS ward,
+           a."diagnosis" AS diagnosis,
+           EXTRACT(EPOCH FROM (a."dischargeDate" - a."admissionDate"))::float / 86400 AS days
+    FROM "Admission" a
+    JOIN "Bed" b ON b."id" = a."bedId"
+    WHERE a."status" <> 'ACTIVE'
+      AND a."dischargeDate" >= ${since}
+      AND a."dischargeDate" > a."admissionDate"
+  `;
+
+  const groups = new Map();
+  const add = (key, days) => {
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(days);
+  };
+
+  stays.forEach(stay => {
+    add(`${stay.ward}|${normalizeDiagnosis(stay.diagnosis)}`, stay.days);
+    add(stay.ward, stay.days);
+    add('*', stay.days);
+  });
+
+  groups.forEach(values => values.sort((a, b) => a - b));
+
+  // Most specific distribution with enough history
+  return (ward, diagnosis) => {
+    for (const key of [`${ward}|${normalizeDiagnosis(diagnosis)}`, ward]) {
+      const values = groups.get(key);
+      if (values && values.length >= MIN_SAMPLES) {
+        return values;
+      }
+    }
+
+    return groups.get('*') || null;
+  };
+};
+
+// Average unplanned admissions per day and ward: admissions not converted from a reservation
+const loadInflow = async (now) => {
+  const since = new Date(now.getTime() - INFLOW_DAYS * DAY_MS);
+
+  const rows = await prisma.$queryRaw`
+    SELECT b."ward"::text AS ward, COUNT(*)::int AS admissions
+    FROM "Admission" a
+    JOIN "Bed" b ON b."id" = a."bedId"
+    WHERE a."admissionDate" >= ${since}
+      AND NOT EXISTS (SELECT 1 FROM "BedReservation" r WHERE r."admissionId" = a."id")
+    GROUP BY b."ward"
+  `;
+
+  return Object.fromEntries(rows.map(row => [row.ward, row.admissions / INFLOW_DAYS]));
+};
+
+// Beds in service per ward (beds under maintenance are left out of capacity)
+const loadCapacity = async () => {
+  const counts = await prisma.bed.groupBy({
+    by: ['ward'],
+    where: {
+      status: {
+        not: 'MAINTENANCE'
+      }
+    },
+    _count: {
+      id: true
+    }
+  });
+
+  return Object.fromEntries(counts.map(row => [row.ward, Number(row._count.id)]));
+};
+
+// Project bed occupancy and availability per ward at the end of each of the next `days` days
+export const forecastCapacity = async ({ days, ward, now = new Date() }) => {
+  const { date: today } = hospitalNow(undefined, now);
+  const horizon = endOfDay(calendarDay(today, days - 1));
+
+  const [distributionFor, inflow, capacity, admissions, reservations] = await Promise.all([
+    loadDistributions(now),
+    loadInflow(now),
+    loadCapacity(),
+    prisma.admission.findMany({
+      where: {
+        status: 'ACTIVE',
+        bed: ward ? { ward } : undefined
+      },
+      select: {
+        admissionDate: true,
+        diagnosis: true,
+        bed: {
+          select: {
+            ward: true,
+            expectedDischargeDate: true
+          }
+        }
+      }
+    }),
+    prisma.bedReservation.findMany({
+      where: {
+        status: 'ACTIVE',
+        expectedArrival: {
+          lt: horizon
+        },
+        bed: ward ? { ward } : undefined
+      },
+      select: {
+        expectedArrival: true,
+        bed: {
+          select: {
+            ward: true
+          }
+        }
+      }
+    })
+  ]);
+
+  const wards = ward ? [ward] : [...new Set([...Object.keys(capacity), ...admissions.map(admission => admission.bed.ward)])];
+  const daysAhead = (instant) => (instant - now) / DAY_MS;
+  // Fraction of today still to come, which is all the unplanned inflow today can add
+  const restOfToday = Math.max(0, daysAhead(endOfDay(today)));
+
+  // For each patient, the chance of still being in a bed at a given instant
+  const occupants = [
+    ...admissions.map(admission => {
+      const expected = admission.bed.expectedDischargeDate;
+      const distribution = distributionFor(admission.bed.ward, admission.diagnosis);
+      const elapsed = Math.max(0, (now - admission.admissionDate) / DAY_MS);
+
+      return {
+        ward: admission.bed.ward,
+        present: (instant) => {
+          // A discharge date still ahead is taken as given: the bed frees up that day
+          if (expected && expected > now) {
+            return instant <= expected ? 1 : 0;
+          }
+
+          return stillAdmitted(distribution, elapsed, daysAhead(instant));
+        }
+      };
+    }),
+    ...reservations.map(reservation => {
+      const distribution = distributionFor(reservation.bed.ward, null);
+
+      return {
+        ward: reservation.bed.ward,
+        arrival: reservation.expectedArrival,
+        present: (instant) => {
+          if (reservation.expectedArrival >= instant) {
+            return 0;
+          }
+
+          return stillAdmitted(distribution, 0, (instant - reservation.expectedArrival) / DAY_MS);
+        }
+      };
+    })
+  ];
+
+  const forecast = [];
+  let previousEnd = now;
+
+  for (let day = 0; day < days; day++) {
+    const date = calendarDay(today, day);
+    const end = endOfDay(date);
+    const byWard = {};
+
+    wards.forEach(name => {
+      let mean = 0;
+      let variance = 0;
+      let discharges = 0;
+      let arrivals = 0;
+
+      occupants.filter(occupant => occupant.ward === name).forEach(occupant => {
+        const before = occupant.present(previousEnd);
+        const after = occupant.present(end);
+
+        mean += after;
+        variance += after * (1 - after);
+        discharges += Math.max(0, before - after);
+
+        if (occupant.arrival && occupant.arrival >= previousEnd && occupant.arrival < end) {
+          arrivals += 1;
+        }
+      });
+
+      // Unplanned arrivals: a Poisson stream thinned by the chance each is still in,
+      // so it adds equally to mean and variance. Arrivals are taken at mid-day.
+      const rate = inflow[name] || 0;
+      const distribution = distributionFor(name, null);
+
+      for (let arrivalDay = 0; arrivalDay <= day; arrivalDay++) {
+        const share = arrivalDay === 0 ? restOfToday : 1;
+        const stillIn = stillAdmitted(distribution, 0, day - arrivalDay + share / 2);
+        mean += rate * share * stillIn;
+        variance += rate * share * stillIn;
+      }
+
+      arrivals += rate * (day === 0 ? restOfToday : 1);
+
+      const beds = capacity[name] || 0;
+      const spread = Z_95 * Math.sqrt(variance);
+      const low = Math.max(0, Math.floor(mean - spread));
+      const high = Math.ceil(mean + spread);
+
+      byWard[name] = {
+        beds,
+        projectedOccupied: round(mean),
+        occupiedRange: [low, high],
+        projectedAvailable: round(beds - mean),
+        availableRange: [beds - high, beds - low],
+        expectedDischarges: round(discharges),
+        expectedArrivals: round(arrivals)
+      };
+    });
+
+    forecast.push({
+      date: date.toISOString().slice(0, 10),
+      wards: byWard
+    });
+    previousEnd = end;
+  }
+
+  return {
+    generatedAt: now,
+    confidence: 0.95,
+    inflowPerDay: Object.fromEntries(wards.map(name => [name, round(inflow[name] || 0, 2)])),
+    days: forecast
+  };
+};
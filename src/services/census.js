@@ -0,0 +1,147 @@
+import { prisma } from '../index.js';
+import { HOSPITAL_TIMEZONE, hospitalNow } from './calendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A live snapshot is only a true midnight census this soon after midnight
+const LIVE_CENSUS_MINUTES = 30;
+
+// Snapshot every bed for a hospital day. Does nothing if that day already has a census,
+// so it is safe to run repeatedly. Returns the number of beds recorded.
+export const takeCensus = async (date) => {
+  const existing = await prisma.censusEntry.count({
+    where: {
+      date
+    }
+  });
+
+  if (existing > 0) {
+    return 0;
+  }
+
+  const beds = await prisma.bed.findMany({
+    include: {
+      admissions: {
+        where: {
+          status: 'ACTIVE'
+        },
+        select: {
+          id: true
+        }
+      }
+    }
+  });
+
+  const { count } = await prisma.censusEntry.createMany({
+    data: beds.map(bed => ({
+      date,
+      bedId: bed.id,
+      bedNumber: bed.bedNumber,
+      ward: bed.ward,
+      status: bed.status,
+      patientId: bed.patientId,
+      admissionId: bed.admissions.length > 0 ? bed.admissions[0].id : null
+    })),
+    skipDuplicates: true
+  });
+
+  return count;
+};
+
+// Reconstruct the census of the days in [from, to) from bed stays. Beds with a stay
+// spanning midnight are OCCUPIED; other beds that existed then are recorded as AVAILABLE,
+// since maintenance and cleaning were not tracked historically. Days that already have
+// a census are left alone. Returns the number of beds recorded.
+export const backfillCensus = async ({ from, to }) => {
+  const last = new Date(to.getTime() - DAY_MS);
+
+  return prisma.$executeRaw`
+    WITH days AS (
+      SELECT d.day, (d.day AT TIME ZONE ${HOSPITAL_TIMEZONE}) AT TIME ZONE 'UTC' AS midnight
+      FROM generate_series(${from}::timestamp, ${last}::timestamp, interval '1 day') AS d(day)
+      WHERE NOT EXISTS (SELECT 1 FROM "CensusEntry" c WHERE c."date" = d.day)
+    )
+    INSERT INTO "CensusEntry" ("id", "date", "bedId", "bedNumber", "ward", "status", "patientId", "admissionId", "backfilled")
+    SELECT gen_random_uuid()::text, days.day, b."id", b."bedNumber", COALESCE(s."ward", b."ward"),
+           (CASE WHEN s."id" IS NULL THEN 'AVAILABLE' ELSE 'OCCUPIED' END)::"BedStatus",
+           a."patientId", a."id", true
+    FROM days
+    JOIN "Bed" b ON b."createdAt" <= days.midnight
+    LEFT JOIN "BedStay" s
+      ON s."bedId" = b."id"
+     AND s."startedAt" <= days.midnight
+     AND (s."endedAt" IS NULL OR s."endedAt" > days.midnight)
+    LEFT JOIN "Admission" a ON a."id" = s."admissionId"
+    ON CONFLICT ("date", "bedId") DO NOTHING
+  `;
+};
+
+// Periodic job: record today's census the first time it runs after midnight. If the
+// server was down or started later in the day, today is rebuilt from bed stays instead
+// (and flagged as backfilled) rather than recording the current bed state as midnight's.
+export const takeDueCensus = () => {
+  const { date, minutes } = hospitalNow();
+
+  if (minutes <= LIVE_CENSUS_MINUTES) {
+    return takeCensus(date);
+  }
+
+  return backfillCensus({ from: date, to: new Date(date.getTime() + DAY_MS) });
+};
+
+// The census of one day with per-ward totals, or null if none was taken
+export const getCensus = async (date) => {
+  const entries = await prisma.censusEntry.findMany({
+    where: {
+      date
+    },
+    include: {
+      patient: {
+        select: {
+          id: true,
+          mrn: true,
+          firstName: true,
+          lastName: true
+        }
+      }
+    },
+    orderBy: [
+      { ward: 'asc' },
+      { bedNumber: 'asc' }
+    ]
+  });
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const wards = {};
+
+  entries.forEach(entry => {
+    if (!wards[entry.ward]) {
+      wards[entry.ward] = {
+        total: 0,
+        available: 0,
+        occupied: 0,
+        maintenance: 0,
+        reserved: 0,
+        cleaning: 0
+      };
+    }
+
+    wards[entry.ward][entry.status.toLowerCase()] += 1;
+    wards[entry.ward].total += 1;
+  });
+
+  return {
+    date: date.toISOString().slice(0, 10),
+    backfilled: entries.some(entry => entry.backfilled),
+    takenAt: entries[0].createdAt,
+    totals: {
+      beds: entries.length,
+      occupied: entries.filter(entry => entry.status === 'OCCUPIED').length
+    },
+    wards,
+    beds: entries
+  };
+};
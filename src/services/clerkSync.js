@@ -0,0 +1,117 @@
+import { Webhook } from 'svix';
+import { prisma } from '../index.js';
+import { ROLES } from '../middleware/authorize.js';
+
+// Verify a Svix-signed Clerk webhook and return the parsed event.
+// Throws if the signature, timestamp or payload is invalid.
+export const verifyClerkWebhook = (payload, headers, secret = process.env.CLERK_WEBHOOK_SECRET) => {
+  if (!secret) {
+    throw new Error('CLERK_WEBHOOK_SECRET is not configured');
+  }
+
+  const webhook = new Webhook(secret);
+
+  return webhook.verify(payload, {
+    'svix-id': headers['svix-id'],
+    'svix-timestamp': headers['svix-timestamp'],
+    'svix-signature': headers['svix-signature']
+  });
+};
+
+// Map a Clerk user object onto the fields stored in the User table
+export const toUserData = (clerkUser) => {
+  const primaryEmail = (clerkUser.email_addresses || []).find(
+    address => address.id === clerkUser.primary_email_address_id
+  ) || (clerkUser.email_addresses || [])[0];
+
+  const metadataRole = clerkUser.public_metadata && clerkUser.public_metadata.role;
+  const role = typeof metadataRole === 'string' ? metadataRole.toUpperCase() : null;
+
+  return {
+    email: primaryEmail ? primaryEmail.email_address : null,
+    firstName: clerkUser.first_name || '',
+    lastName: clerkUser.last_name || '',
+    role: ROLES.includes(role) ? role : null
+  };
+};
+
+// Apply a verified Clerk event to the User table and describe what happened
+export const syncClerkEvent = async (event) => {
+  const clerkUser = event.data || {};
+
+  switch (event.type) {
+    case 'user.created':
+    case 'user.updated': {
+      const data = toUserData(clerkUser);
+
+      if (!data.email) {
+        return { action: 'skipped', reason: 'User has no email address' };
+      }
+
+      // Users without a staff role in public metadata are not given access. Taking the role
+      // away from an existing user revokes access: the account is deactivated and stays so
+      // until an admin reactivates it.
+      if (!data.role) {
+        if (event.type === 'user.updated') {
+          const { count } = await prisma.user.updateMany({
+            where: {
+              id: clerkUser.id,
+              active: true
+            },
+            data: {
+              active: false,
+              deactivatedAt: new Date()
+            }
+          });
+
+          if (count > 0) {
+            return { action: 'deactivated', userId: clerkUser.id, reason: 'User no longer has a valid role in public metadata' };
+          }
+        }
+
+        return { action: 'skipped', reason: 'User has no valid role in public metadata' };
+      }
+
+      await prisma.user.upsert({
+        where: {
+          id: clerkUser.id
+        },
+        update: data,
+        create: {
+          id: clerkUser.id,
+          ...data
+        }
+      });
+
+      return { action: 'upserted', userId: clerkUser.id };
+    }
+
+    case 'user.deleted': {
+      const user = await prisma.user.findUnique({
+        where: {
+          id: clerkUser.id
+        }
+      });
+
+      if (!user) {
+        return { action: 'skipped', reason: 'User not found' };
+      }
+
+      // Deactivate rather than delete so appointment and admission history stays intact
+      await prisma.user.update({
+        where: {
+          id: user.id
+        },
+        data: {
+          active: false,
+          deactivatedAt: new Date()
+        }
+      });
+
+      return { action: 'deactivated', userId: user.id };
+    }
+
+    default:
+      return { action: 'ignored', reason: `Unhandled event type ${event.type}` };
+  }
+};
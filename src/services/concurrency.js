@@ -0,0 +1,59 @@
+// Optimistic concurrency for records with a `version` column. The version is exposed
+// as a weak ETag; clients send it back in If-Match to make sure they update what they saw.
+
+export const etagFor = (record) => `W/"${record.version}"`;
+
+export const setETag = (res, record) => {
+  res.set('ETag', etagFor(record));
+};
+
+// True when the request carries an If-Match header that does not match the record.
+// A missing header or "*" always matches.
+export const ifMatchFails = (req, record) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return false;
+  }
+
+  const current = etagFor(record);
+  return !header.split(',').some(tag => {
+    const value = tag.trim();
+    // Accept the strong form of the tag as well
+    return value === current || value.replace(/^W\//, '') === current.replace(/^W\//, '');
+  });
+};
+
+export const conflictError = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Update a record only if its version is still the one that was read, bumping the
+// version. Throws a 409-tagged error when another request got there first.
+export const updateVersioned = async (model, record, data, { where = {}, include } = {}) => {
+  const { count } = await model.updateMany({
+    where: {
+      ...where,
+      id: record.id,
+      version: record.version
+    },
+    data: {
+      ...data,
+      version: {
+        increment: 1
+      }
+    }
+  });
+
+  if (count === 0) {
+    throw conflictError('Record was modified by another request; reload and try again');
+  }
+
+  return model.findUnique({
+    where: {
+      id: record.id
+    },
+    include
+  });
+};
@@ -0,0 +1,234 @@
+import PDFDocument from 'pdfkit';
+import { HOSPITAL_TIMEZONE } from './calendar.js';
+import { ageInYears, bedPlacementInclude } from './wards.js';
+
+const HOSPITAL_NAME = process.env.HOSPITAL_NAME || 'MediConnect';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const personSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+    email: true
+  }
+};
+
+// Everything the printed summary shows
+export const dischargeSummaryInclude = {
+  patient: true,
+  doctor: personSelect,
+  stays: {
+    include: {
+      bed: {
+        include: bedPlacementInclude
+      }
+    },
+    orderBy: {
+      startedAt: 'asc'
+    }
+  },
+  dischargeSummary: {
+    include: {
+      author: personSelect
+    }
+  }
+};
+
+// The stored form of a validated summary from a request body
+export const dischargeSummaryData = (summary) => ({
+  diagnosis: summary.diagnosis,
+  procedures: summary.procedures || [],
+  medications: (summary.medications || []).map(({ name, dose, frequency, duration, notes }) => ({
+    name,
+    dose: dose || null,
+    frequency: frequency || null,
+    duration: duration || null,
+    notes: notes || null
+  })),
+  followUpInstructions: summary.followUpInstructions
+});
+
+// Admission dates and dates of birth are calendar dates stored at midnight UTC
+const formatDate = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'UTC',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+}).format(date);
+
+const formatDateTime = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: HOSPITAL_TIMEZONE,
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}).format(date);
+
+const doctorName = (user) => `Dr. ${user.firstName} ${user.lastName}`;
+
+const capitalize = (value) => value.charAt(0) + value.slice(1).toLowerCase();
+
+const rule = (doc) => {
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor('#999999')
+    .stroke();
+  doc.y = y + 6;
+};
+
+const heading = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.x = doc.page.margins.left;
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000').text(title);
+  rule(doc);
+  doc.font('Helvetica').fontSize(10);
+};
+
+const field = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+  doc.font('Helvetica').text(value === null || value === undefined || value === '' ? '-' : String(value));
+};
+
+// Fixed-width table; `widths` are fractions of the printable width. Rows that do not
+// fit on the page move to the next one, repeating the header.
+const table = (doc, columns, widths, rows) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const sizes = widths.map(share => share * width);
+  const padding = 4;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: sizes[i] - padding }))) + padding;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (font !== 'Helvetica-Bold') {
+        drawRow(columns, 'Helvetica-Bold');
+        doc.font(font).fontSize(9);
+      }
+    }
+
+    const top = doc.y;
+    let x = left;
+
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, top, { width: sizes[i] - padding });
+      x += sizes[i];
+    });
+
+    doc.y = top + height;
+    doc.moveTo(left, doc.y - padding / 2).lineTo(left + width, doc.y - padding / 2).lineWidth(0.25).strokeColor('#cccccc').stroke();
+  };
+
+  drawRow(columns, 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row.map(cell => (cell === null || cell === undefined || cell === '' ? '-' : String(cell))), 'Helvetica'));
+
+  doc.x = left;
+  doc.font('Helvetica').fontSize(10);
+};
+
+// Write the discharge summary of an admission, loaded with dischargeSummaryInclude, as a
+// PDF to `output` (e.g. an HTTP response)
+export const renderDischargeSummary = (admission, output, { now = new Date() } = {}) => {
+  const { patient, doctor, stays, dischargeSummary: summary } = admission;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: {
+      Title: `Discharge summary - ${patient.firstName} ${patient.lastName} (${patient.mrn})`,
+      Author: HOSPITAL_NAME
+    }
+  });
+
+  doc.pipe(output);
+
+  doc.font('Helvetica-Bold').fontSize(18).text(HOSPITAL_NAME);
+  doc.font('Helvetica').fontSize(14).text('Discharge Summary');
+  rule(doc);
+
+  heading(doc, 'Patient');
+  field(doc, 'Name', `${patient.firstName} ${patient.lastName}`);
+  field(doc, 'MRN', patient.mrn);
+  field(doc, 'Date of birth', `${formatDate(patient.dateOfBirth)} (age ${ageInYears(patient.dateOfBirth, admission.dischargeDate || now)})`);
+  field(doc, 'Gender', capitalize(patient.gender));
+  field(doc, 'Blood group', patient.bloodGroup);
+  field(doc, 'Allergies', patient.allergies || 'None recorded');
+  field(doc, 'Contact number', patient.contactNumber);
+  field(doc, 'Address', patient.address);
+
+  heading(doc, 'Admission');
+  field(doc, 'Attending doctor', `${doctorName(doctor)} (${doctor.email})`);
+  field(doc, 'Admitted', formatDate(admission.admissionDate));
+  field(doc, admission.status === 'TRANSFERRED' ? 'Transferred out' : 'Discharged', admission.dischargeDate ? formatDateTime(admission.dischargeDate) : null);
+  if (admission.dischargeDate) {
+    field(doc, 'Length of stay', `${Math.max(0, Math.round((admission.dischargeDate - admission.admissionDate) / DAY_MS))} day(s)`);
+  }
+  field(doc, 'Admitting diagnosis', admission.diagnosis);
+
+  heading(doc, 'Ward and bed stay');
+  table(doc, ['Ward', 'Room', 'Bed', 'From', 'To', 'Reason'], [0.22, 0.1, 0.1, 0.19, 0.19, 0.2], stays.map(stay => [
+    stay.bed.room ? `${stay.bed.room.ward.name} (${capitalize(stay.ward)})` : capitalize(stay.ward),
+    stay.bed.room && stay.bed.room.name,
+    stay.bed.bedNumber,
+    formatDateTime(stay.startedAt),
+    stay.endedAt ? formatDateTime(stay.endedAt) : null,
+    stay.reason
+  ]));
+
+  heading(doc, 'Discharge diagnosis');
+  doc.text(summary.diagnosis);
+
+  heading(doc, 'Procedures');
+  if (summary.procedures.length > 0) {
+    doc.list(summary.procedures, { bulletRadius: 1.5 });
+  } else {
+    doc.text('None recorded');
+  }
+
+  heading(doc, 'Medications on discharge');
+  if (summary.medications.length > 0) {
+    table(doc, ['Medication', 'Dose', 'Frequency', 'Duration', 'Notes'], [0.25, 0.15, 0.18, 0.15, 0.27], summary.medications.map(medication => [
+      medication.name,
+      medication.dose,
+      medication.frequency,
+      medication.duration,
+      medication.notes
+    ]));
+  } else {
+    doc.text('None');
+  }
+
+  heading(doc, 'Follow-up instructions');
+  doc.text(summary.followUpInstructions);
+
+  doc.moveDown(2);
+  doc.text(`Written by ${doctorName(summary.author)} on ${formatDateTime(summary.createdAt)}`
+    + (summary.updatedAt - summary.createdAt > 60000 ? `, last updated ${formatDateTime(summary.updatedAt)}` : ''));
+  doc.moveDown(2);
+  doc.text('Signature: ______________________________');
+
+  // Footer on every page; the bottom margin is lifted so it does not start a new page
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+      `${patient.firstName} ${patient.lastName} - MRN ${patient.mrn} - printed ${formatDateTime(now)} - page ${i - range.start + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - 35,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center' }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+};
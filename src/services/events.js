@@ -0,0 +1,70 @@
+import { EventEmitter } from 'events';
+
+// How many recent events are kept for Last-Event-ID replay
+const BUFFER_SIZE = 500;
+
+// Event ids are "<boot>-<sequence>" so ids from before a restart are recognised as stale
+const bootId = Date.now().toString(36);
+let sequence = 0;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+
+// Publish a live update. `scope` carries the doctorId and/or ward used for client filtering.
+export const publish = (type, data, scope = {}) => {
+  sequence += 1;
+
+  const event = {
+    id: `${bootId}-${sequence}`,
+    sequence,
+    type,
+    doctorId: scope.doctorId || null,
+    ward: scope.ward || null,
+    data,
+    timestamp: new Date()
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+};
+
+// Events without a doctor or ward are broadcast to every subscriber
+export const matchesFilter = (event, filter = {}) => {
+  if (filter.doctorId && event.doctorId && event.doctorId !== filter.doctorId) {
+    return false;
+  }
+
+  if (filter.ward && event.ward && event.ward !== filter.ward) {
+    return false;
+  }
+
+  return true;
+};
+
+// Events published after the given Last-Event-ID, or null if they can no longer be replayed
+export const eventsSince = (lastEventId) => {
+  const [boot, lastSequence] = String(lastEventId).split('-');
+  const since = Number(lastSequence);
+
+  if (boot !== bootId || Number.isNaN(since) || since > sequence) {
+    return null;
+  }
+
+  if (buffer.length > 0 && since < buffer[0].sequence - 1) {
+    return null;
+  }
+
+  return buffer.filter(event => event.sequence > since);
+};
+
+export const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
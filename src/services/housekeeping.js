@@ -0,0 +1,242 @@
+import { prisma } from '../index.js';
+import { conflictError } from './concurrency.js';
+import { publish } from './events.js';
+
+const staffSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true
+  }
+};
+
+export const cleaningInclude = {
+  bed: true,
+  claimedBy: staffSelect,
+  completedBy: staffSelect
+};
+
+// Put a vacated bed into CLEANING and open its housekeeping task. Runs inside the
+// caller's transaction; returns the updated bed.
+export const vacateBed = async (client, bedId, { reason, admissionId }) => {
+  const bed = await client.bed.update({
+    where: {
+      id: bedId
+    },
+    data: {
+      status: 'CLEANING',
+      patientId: null,
+      admissionDate: null,
+      expectedDischargeDate: null,
+      version: {
+        increment: 1
+      }
+    }
+  });
+
+  await client.bedCleaning.create({
+    data: {
+      bedId,
+      ward: bed.ward,
+      reason,
+      admissionId
+    }
+  });
+
+  return bed;
+};
+
+// Drop the open cleanings of beds that are being put back into use some other way, so
+// they leave the housekeeping list and the turnaround figures. Runs inside the caller's transaction.
+export const cancelOpenCleanings = (client, bedIds) => client.bedCleaning.updateMany({
+  where: {
+    bedId: {
+      in: bedIds
+    },
+    completedAt: null,
+    cancelledAt: null
+  },
+  data: {
+    cancelledAt: new Date()
+  }
+});
+
+const findOpenCleaning = (client, bedId) => client.bedCleaning.findFirst({
+  where: {
+    bedId,
+    completedAt: null,
+    cancelledAt: null
+  },
+  orderBy: {
+    vacatedAt: 'desc'
+  }
+});
+
+// Assign the open cleaning of a bed to a housekeeper. Claiming again is a no-op;
+// a bed claimed by someone else is a 409.
+export const claimCleaning = async (bedId, userId) => {
+  const open = await findOpenCleaning(prisma, bedId);
+
+  if (!open) {
+    throw conflictError('Bed is not waiting for cleaning');
+  }
+
+  if (open.claimedById && open.claimedById !== userId) {
+    throw conflictError('Bed has already been claimed by another housekeeper');
+  }
+
+  if (!open.claimedById) {
+    const { count } = await prisma.bedCleaning.updateMany({
+      where: {
+        id: open.id,
+        claimedById: null,
+        completedAt: null,
+        cancelledAt: null
+      },
+      data: {
+        claimedById: userId,
+        claimedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw conflictError('Bed has already been claimed by another housekeeper');
+    }
+  }
+
+  const cleaning = await prisma.bedCleaning.findUnique({
+    where: {
+      id: open.id
+    },
+    include: cleaningInclude
+  });
+
+  publish('bed.cleaning.claimed', cleaning, { ward: cleaning.bed.ward });
+
+  return cleaning;
+};
+
+// Mark a bed clean and return it to AVAILABLE. An unclaimed bed is claimed by
+// whoever cleans it; a bed claimed by someone else can only be closed by an admin.
+export const completeCleaning = async (bedId, user) => {
+  const now = new Date();
+
+  const cleaning = await prisma.$transaction(async (client) => {
+    const open = await findOpenCleaning(client, bedId);
+
+    if (!open) {
+      throw conflictError('Bed is not waiting for cleaning');
+    }
+
+    if (open.claimedById && open.claimedById !== user.id && user.role !== 'ADMIN') {
+      throw conflictError('Bed has been claimed by another housekeeper');
+    }
+
+    const { count } = await client.bed.updateMany({
+      where: {
+        id: bedId,
+        status: 'CLEANING'
+      },
+      data: {
+        status: 'AVAILABLE',
+        version: {
+          increment: 1
+        }
+      }
+    });
+
+    const closed = await client.bedCleaning.updateMany({
+      where: {
+        id: open.id,
+        completedAt: null,
+        cancelledAt: null
+      },
+      data: {
+        claimedById: open.claimedById || user.id,
+        claimedAt: open.claimedAt || now,
+        completedById: user.id,
+        completedAt: now
+      }
+    });
+
+    if (count === 0 || closed.count === 0) {
+      throw conflictError('Bed is no longer waiting for cleaning');
+    }
+
+    return client.bedCleaning.findUnique({
+      where: {
+        id: open.id
+      },
+      include: cleaningInclude
+    });
+  });
+
+  publish('bed.cleaning.completed', cleaning, { ward: cleaning.bed.ward });
+  publish('bed.status', cleaning.bed, { ward: cleaning.bed.ward });
+
+  return cleaning;
+};
+
+const minutesBetween = (start, end) => Math.round((end - start) / 60000);
+
+const summarize = (minutes) => {
+  if (minutes.length === 0) {
+    return { cleanings: 0, averageMinutes: null, medianMinutes: null, maxMinutes: null };
+  }
+
+  const sorted = [...minutes].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    cleanings: sorted.length,
+    averageMinutes: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    medianMinutes: sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2),
+    maxMinutes: sorted[sorted.length - 1]
+  };
+};
+
+// Turnaround (vacated -> clean) of cleanings completed in [from, to), per ward with a
+// per-bed breakdown
+export const getTurnaroundStats = async ({ from, to }) => {
+  const cleanings = await prisma.bedCleaning.findMany({
+    where: {
+      completedAt: {
+        gte: from,
+        lt: to
+      }
+    },
+    select: {
+      bedId: true,
+      ward: true,
+      vacatedAt: true,
+      completedAt: true,
+      bed: {
+        select: {
+          bedNumber: true
+        }
+      }
+    }
+  });
+
+  const wards = {};
+
+  cleanings.forEach(cleaning => {
+    const ward = wards[cleaning.ward] || (wards[cleaning.ward] = { minutes: [], beds: {} });
+    const bed = ward.beds[cleaning.bedId] || (ward.beds[cleaning.bedId] = {
+      bedId: cleaning.bedId,
+      bedNumber: cleaning.bed.bedNumber,
+      minutes: []
+    });
+    const minutes = minutesBetween(cleaning.vacatedAt, cleaning.completedAt);
+
+    ward.minutes.push(minutes);
+    bed.minutes.push(minutes);
+  });
+
+  return Object.fromEntries(Object.entries(wards).map(([ward, { minutes, beds }]) => [ward, {
+    ...summarize(minutes),
+    beds: Object.values(beds)
+      .map(({ minutes, ...bed }) => ({ ...bed, ...summarize(minutes) }))
+      .sort((a, b) => a.bedNumber.localeCompare(b.bedNumber))
+  }]));
+};
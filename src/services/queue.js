@@ -0,0 +1,88 @@
+import { prisma } from '../index.js';
+import { dayRange } from './availability.js';
+import { publish } from './events.js';
+import { compareQueuePriority, latestTriageInclude } from './triage.js';
+
+// Atomically hand out the next queue number for a doctor's day.
+// The counter row is created on first use, so concurrent bookings never share a number.
+// Its row lock is held until the transaction ends, which also serializes bookings of the
+// same doctor and day: checks made after allocating see every booking committed before.
+export const allocateQueueNumber = async (client, doctorId, date) => {
+  const { start } = dayRange(date);
+
+  const [counter] = await client.$queryRaw`
+    INSERT INTO "QueueCounter" ("doctorId", "date", "lastNumber")
+    VALUES (${doctorId}, ${start}, 1)
+    ON CONFLICT ("doctorId", "date")
+    DO UPDATE SET "lastNumber" = "QueueCounter"."lastNumber" + 1
+    RETURNING "lastNumber"
+  `;
+
+  return Number(counter.lastNumber);
+};
+
+// Take the same lock as allocateQueueNumber without handing out a number, for booking
+// checks that may end up booking nothing on that day
+export const lockDoctorDay = async (client, doctorId, date) => {
+  const { start } = dayRange(date);
+
+  await client.$executeRaw`
+    INSERT INTO "QueueCounter" ("doctorId", "date", "lastNumber")
+    VALUES (${doctorId}, ${start}, 0)
+    ON CONFLICT ("doctorId", "date")
+    DO UPDATE SET "lastNumber" = "QueueCounter"."lastNumber"
+  `;
+};
+
+// Current, waiting, skipped and not-yet-arrived patients for a doctor's day.
+// Triaged emergencies wait ahead of everyone else, ordered by acuity.
+export const getDoctorQueue = async (doctorId, date, client = prisma) => {
+  const { start, end } = dayRange(date);
+
+  const appointments = await client.appointment.findMany({
+    where: {
+      doctorId,
+      date: {
+        gte: start,
+        lt: end
+      },
+      status: {
+        in: ['SCHEDULED', 'IN_QUEUE', 'IN_PROGRESS']
+      }
+    },
+    include: {
+      patient: true,
+      triages: latestTriageInclude
+    },
+    orderBy: {
+      queueNumber: 'asc'
+    }
+  });
+
+  return {
+    doctorId,
+    date: start.toISOString().split('T')[0],
+    current: appointments.filter(appointment => appointment.status === 'IN_PROGRESS'),
+    waiting: appointments
+      .filter(appointment => appointment.status === 'IN_QUEUE' && !appointment.skippedAt)
+      .sort(compareQueuePriority),
+    skipped: appointments.filter(appointment => appointment.status === 'IN_QUEUE' && appointment.skippedAt),
+    notArrived: appointments.filter(appointment => appointment.status === 'SCHEDULED')
+  };
+};
+
+// Push a doctor's queue snapshot to live subscribers; failures are logged, not thrown
+export const publishQueue = async (doctorId, date) => {
+  try {
+    const queue = await getDoctorQueue(doctorId, date);
+    publish('queue.updated', queue, { doctorId });
+  } catch (error) {
+    console.error('Failed to publish queue update:', error.message);
+  }
+};
+
+// Publish the queue of each distinct day among `dates`
+export const publishQueueDays = (doctorId, dates) => {
+  [...new Set(dates.map(date => dayRange(date).start.getTime()))]
+    .forEach(time => publishQueue(doctorId, new Date(time)));
+};
@@ -0,0 +1,163 @@
+// Minimal RRULE support for appointment series: FREQ (DAILY, WEEKLY, MONTHLY),
+// INTERVAL, COUNT, UNTIL and BYDAY (weekdays for WEEKLY, e.g. "2TU" or "-1FR" for MONTHLY).
+
+// Hard cap on occurrences so a rule without an end cannot generate an unbounded series
+export const MAX_OCCURRENCES = 100;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value "${value}"`);
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+const parseByDay = (value, freq) => value.split(',').map(entry => {
+  const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.trim());
+  if (!match) {
+    throw new Error(`Invalid BYDAY value "${entry}"`);
+  }
+
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && (freq !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw new Error(`Invalid BYDAY ordinal "${entry}"`);
+  }
+  if (ordinal === null && freq === 'MONTHLY') {
+    throw new Error('MONTHLY BYDAY entries need an ordinal, e.g. 2TU');
+  }
+
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+});
+
+// Parse an RRULE string (with or without the "RRULE:" prefix) into a rule object
+export const parseRRule = (value) => {
+  const parts = String(value).replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const fields = {};
+
+  parts.forEach(part => {
+    const [key, fieldValue] = part.split('=');
+    if (!key || fieldValue === undefined) {
+      throw new Error(`Invalid RRULE part "${part}"`);
+    }
+    fields[key.toUpperCase()] = fieldValue.toUpperCase();
+  });
+
+  const unsupported = Object.keys(fields).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported RRULE parts: ${unsupported.join(', ')}`);
+  }
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(fields.FREQ)) {
+    throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+
+  const rule = {
+    freq: fields.FREQ,
+    interval: fields.INTERVAL ? Number(fields.INTERVAL) : 1,
+    count: fields.COUNT ? Number(fields.COUNT) : null,
+    until: fields.UNTIL ? parseUntil(fields.UNTIL) : null,
+    byDay: fields.BYDAY ? parseByDay(fields.BYDAY, fields.FREQ) : null
+  };
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new Error('INTERVAL must be a positive integer');
+  }
+
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    throw new Error('COUNT must be a positive integer');
+  }
+
+  if (rule.count !== null && rule.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+
+  if (rule.count === null && !rule.until) {
+    throw new Error('Either COUNT or UNTIL is required');
+  }
+
+  if (rule.byDay && rule.freq === 'DAILY') {
+    throw new Error('BYDAY is not supported with FREQ=DAILY');
+  }
+
+  return rule;
+};
+
+const utcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// The nth (or nth-from-last when negative) given weekday of a month, or null
+const nthWeekdayOfMonth = (year, month, weekday, ordinal) => {
+  if (ordinal > 0) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (ordinal - 1) * 7;
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month ? date : null;
+  }
+
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const day = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7) + (ordinal + 1) * 7;
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && day > 0 ? date : null;
+};
+
+// Candidate dates for one period (day, week or month) of the rule
+const periodDates = (rule, start, period) => {
+  if (rule.freq === 'DAILY') {
+    return [addDays(start, period * rule.interval)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    if (!rule.byDay) {
+      return [addDays(start, period * rule.interval * 7)];
+    }
+
+    // Weeks start on Monday (RRULE default WKST=MO)
+    const weekStart = addDays(start, -((start.getUTCDay() + 6) % 7) + period * rule.interval * 7);
+    return rule.byDay
+      .map(({ weekday }) => addDays(weekStart, (weekday + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  const monthIndex = start.getUTCMonth() + period * rule.interval;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+
+  if (!rule.byDay) {
+    // Months without the start's day of month (e.g. the 31st) are skipped
+    const date = new Date(Date.UTC(year, month, start.getUTCDate()));
+    return date.getUTCMonth() === month ? [date] : [];
+  }
+
+  return rule.byDay
+    .map(({ weekday, ordinal }) => nthWeekdayOfMonth(year, month, weekday, ordinal))
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+};
+
+// Expand a parsed rule into occurrence dates (midnight UTC), starting on or after startDate
+export const expandRRule = (rule, startDate) => {
+  const start = utcDay(startDate);
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const occurrences = [];
+
+  // Bounded so rules that never produce a date (e.g. UNTIL before start) still terminate
+  for (let period = 0; period < MAX_OCCURRENCES * 12 && occurrences.length < limit; period++) {
+    const dates = periodDates(rule, start, period);
+
+    for (const date of dates) {
+      if (rule.until && date > rule.until) {
+        return occurrences;
+      }
+
+      if (date >= start && occurrences.length < limit) {
+        occurrences.push(date);
+      }
+    }
+  }
+
+  return occurrences;
+};
@@ -0,0 +1,67 @@
+import { toMinutes, toTime } from './availability.js';
+
+// Reminder wording per appointment type. Placeholders in {braces} are filled
+// from the appointment; SMS bodies are kept short enough for a single message.
+const TEMPLATES = {
+  GENERAL: {
+    subject: 'Appointment reminder: {date} at {time}',
+    email: 'Dear {patientName},\n\nThis is a reminder of your appointment with Dr. {doctorName} {lead}, on {date} at {time}.\n\nIf you cannot attend, please contact reception so the slot can be offered to another patient.\n\nMediConnect',
+    sms: 'Reminder: appointment with Dr. {doctorName} on {date} at {time}. Please call reception if you cannot attend.'
+  },
+  FOLLOW_UP: {
+    subject: 'Follow-up appointment reminder: {date} at {time}',
+    email: 'Dear {patientName},\n\nYour follow-up appointment with Dr. {doctorName} is {lead}, on {date} at {time}. Please bring any test results or medication you were asked to bring.\n\nIf you cannot attend, please contact reception.\n\nMediConnect',
+    sms: 'Reminder: follow-up with Dr. {doctorName} on {date} at {time}. Bring any test results or medication.'
+  },
+  SPECIALIST: {
+    subject: 'Specialist appointment reminder: {date} at {time}',
+    email: 'Dear {patientName},\n\nYour specialist appointment with Dr. {doctorName} is {lead}, on {date} at {time}. Please arrive 15 minutes early and bring your referral letter.\n\nIf you cannot attend, please contact reception.\n\nMediConnect',
+    sms: 'Reminder: specialist appointment with Dr. {doctorName} on {date} at {time}. Arrive 15 min early with your referral.'
+  },
+  EMERGENCY: {
+    subject: 'Urgent appointment: {date} at {time}',
+    email: 'Dear {patientName},\n\nYou have an urgent appointment with Dr. {doctorName} {lead}, on {date} at {time}.\n\nMediConnect',
+    sms: 'Urgent appointment with Dr. {doctorName} on {date} at {time}.'
+  }
+};
+
+const describeLead = (offsetMinutes) => {
+  if (offsetMinutes >= 24 * 60 && offsetMinutes % (24 * 60) === 0) {
+    const days = offsetMinutes / (24 * 60);
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+  }
+
+  if (offsetMinutes >= 60 && offsetMinutes % 60 === 0) {
+    const hours = offsetMinutes / 60;
+    return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+  }
+
+  return `in ${offsetMinutes} minutes`;
+};
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) =>
+  values[key] !== undefined ? values[key] : match
+);
+
+// Render the subject (email only) and body of a reminder for an appointment with patient and doctor loaded
+export const renderReminder = (channel, appointment, offsetMinutes) => {
+  const template = TEMPLATES[appointment.type] || TEMPLATES.GENERAL;
+
+  const values = {
+    patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+    doctorName: `${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+    // Appointment dates are calendar days stored at midnight UTC
+    date: appointment.date.toLocaleDateString('en-GB', {
+      timeZone: 'UTC',
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long'
+    }),
+    time: toTime(toMinutes(appointment.time)),
+    lead: describeLead(offsetMinutes)
+  };
+
+  return channel === 'EMAIL'
+    ? { subject: fill(template.subject, values), body: fill(template.email, values) }
+    : { subject: null, body: fill(template.sms, values) };
+};
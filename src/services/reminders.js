@@ -0,0 +1,286 @@
+import { prisma } from '../index.js';
+import { appointmentStart, hospitalNow } from './calendar.js';
+import { renderReminder } from './reminderTemplates.js';
+import { getTransport } from './transports.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const CHANNELS = ['EMAIL', 'SMS'];
+
+// Delivery attempts before a reminder is marked FAILED; retries back off exponentially
+export const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 1;
+
+// A claimed reminder is retried if its worker has not finished within this time
+const LEASE_MINUTES = 5;
+
+const BATCH_SIZE = 100;
+
+// Parse offsets like "24h,2h,30m,1d" into minutes, largest first
+export const parseOffsets = (value) => [...new Set(String(value).split(',').map(part => {
+  const match = /^\s*(\d+)\s*([mhd])\s*$/i.exec(part);
+  if (!match) {
+    throw new Error(`Invalid reminder offset "${part}"`);
+  }
+
+  const multiplier = { m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+  return Number(match[1]) * multiplier;
+}))].sort((a, b) => b - a);
+
+export const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h');
+
+const contactFor = (channel, patient) => (channel === 'EMAIL'
+  ? { recipient: patient.email, optedOut: !patient.emailReminders, missing: 'No email address on file' }
+  : { recipient: patient.contactNumber, optedOut: !patient.smsReminders, missing: 'No contact number on file' });
+
+// Add outbox rows for SCHEDULED appointments whose reminder time has come.
+// When several offsets are due at once (a late booking), only the closest one is sent.
+export const enqueueDueReminders = async (now = new Date()) => {
+  const today = hospitalNow().date;
+  const horizon = new Date(today.getTime() + (Math.ceil(REMINDER_OFFSETS[0] / (24 * 60)) + 1) * DAY_MS);
+
+  const appointments = await prisma.appointment.findMany({
+    where: {
+      status: 'SCHEDULED',
+      date: {
+        gte: today,
+        lt: horizon
+      }
+    },
+    include: {
+      patient: true,
+      doctor: true,
+      notifications: {
+        select: {
+          channel: true,
+          offsetMinutes: true
+        }
+      }
+    }
+  });
+
+  const rows = [];
+
+  appointments.forEach(appointment => {
+    const start = appointmentStart(appointment.date, appointment.time);
+    if (start <= now) {
+      return;
+    }
+
+    const due = REMINDER_OFFSETS.filter(offset => start - offset * MINUTE_MS <= now);
+    if (due.length === 0) {
+      return;
+    }
+
+    const closest = Math.min(...due);
+
+    CHANNELS.forEach(channel => {
+      const { recipient, optedOut, missing } = contactFor(channel, appointment.patient);
+
+      due.forEach(offset => {
+        const exists = appointment.notifications.some(notification =>
+          notification.channel === channel && notification.offsetMinutes === offset
+        );
+
+        if (exists) {
+          return;
+        }
+
+        let skipReason = null;
+        if (offset !== closest) {
+          skipReason = 'Superseded by a later reminder';
+        } else if (optedOut) {
+          skipReason = 'Patient opted out';
+        } else if (!recipient) {
+          skipReason = missing;
+        }
+
+        rows.push({
+          appointmentId: appointment.id,
+          channel,
+          offsetMinutes: offset,
+          recipient: recipient || null,
+          ...renderReminder(channel, appointment, offset),
+          status: skipReason ? 'SKIPPED' : 'PENDING',
+          lastError: skipReason,
+          nextAttemptAt: now
+        });
+      });
+    });
+  });
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const { count } = await prisma.notification.createMany({
+    data: rows,
+    skipDuplicates: true
+  });
+
+  return count;
+};
+
+// Why a queued reminder should no longer be sent, or null
+const cancelReason = (notification, now) => {
+  const { appointment } = notification;
+
+  if (appointment.status !== 'SCHEDULED') {
+    return `Appointment is ${appointment.status}`;
+  }
+
+  if (appointmentStart(appointment.date, appointment.time) <= now) {
+    return 'Appointment has already started';
+  }
+
+  const { recipient, optedOut, missing } = contactFor(notification.channel, appointment.patient);
+
+  if (optedOut) {
+    return 'Patient opted out';
+  }
+
+  return recipient ? null : missing;
+};
+
+// Send due reminders from the outbox, retrying failures with exponential backoff
+export const deliverPendingReminders = async (now = new Date()) => {
+  const summary = { sent: 0, retried: 0, failed: 0, cancelled: 0, unconfigured: 0 };
+  const transports = {};
+
+  // Reminders of a channel without a usable transport are left out of the batch, so they
+  // wait (keeping their attempts) without crowding out the channels that can send
+  for (const channel of CHANNELS) {
+    try {
+      transports[channel] = getTransport(channel);
+    } catch (error) {
+      const { count } = await prisma.notification.updateMany({
+        where: {
+          channel,
+          status: 'PENDING',
+          OR: [
+            { lastError: null },
+            { lastError: { not: error.message } }
+          ]
+        },
+        data: {
+          lastError: error.message
+        }
+      });
+      summary.unconfigured += count;
+    }
+  }
+
+  const batch = await prisma.notification.findMany({
+    where: {
+      channel: {
+        in: Object.keys(transports)
+      },
+      status: {
+        in: ['PENDING', 'SENDING']
+      },
+      nextAttemptAt: {
+        lte: now
+      }
+    },
+    include: {
+      appointment: {
+        include: {
+          patient: true
+        }
+      }
+    },
+    orderBy: {
+      nextAttemptAt: 'asc'
+    },
+    take: BATCH_SIZE
+  });
+
+  for (const notification of batch) {
+    // Claim the row so concurrent workers do not send it twice
+    const { count } = await prisma.notification.updateMany({
+      where: {
+        id: notification.id,
+        status: notification.status,
+        nextAttemptAt: notification.nextAttemptAt
+      },
+      data: {
+        status: 'SENDING',
+        attempts: {
+          increment: 1
+        },
+        nextAttemptAt: new Date(now.getTime() + LEASE_MINUTES * MINUTE_MS)
+      }
+    });
+
+    if (count === 0) {
+      continue;
+    }
+
+    const reason = cancelReason(notification, now);
+
+    if (reason) {
+      await prisma.notification.update({
+        where: {
+          id: notification.id
+        },
+        data: {
+          status: 'CANCELLED',
+          lastError: reason
+        }
+      });
+      summary.cancelled++;
+      continue;
+    }
+
+    // Contact details may have been corrected since the reminder was queued
+    const { recipient } = contactFor(notification.channel, notification.appointment.patient);
+    const attempts = notification.attempts + 1;
+
+    try {
+      const { providerId } = await transports[notification.channel].send({
+        to: recipient,
+        subject: notification.subject,
+        body: notification.body
+      });
+
+      await prisma.notification.update({
+        where: {
+          id: notification.id
+        },
+        data: {
+          status: 'SENT',
+          recipient,
+          providerId,
+          sentAt: new Date(),
+          lastError: null
+        }
+      });
+      summary.sent++;
+    } catch (error) {
+      const exhausted = attempts >= MAX_ATTEMPTS;
+
+      await prisma.notification.update({
+        where: {
+          id: notification.id
+        },
+        data: {
+          status: exhausted ? 'FAILED' : 'PENDING',
+          recipient,
+          lastError: error.message,
+          nextAttemptAt: exhausted
+            ? notification.nextAttemptAt
+            : new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * MINUTE_MS)
+        }
+      });
+      summary[exhausted ? 'failed' : 'retried']++;
+    }
+  }
+
+  return summary;
+};
+
+export const processReminders = async () => {
+  await enqueueDueReminders();
+  return deliverPendingReminders();
+};
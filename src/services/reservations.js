@@ -0,0 +1,131 @@
+import { prisma } from '../index.js';
+import { conflictError } from './concurrency.js';
+import { publish } from './events.js';
+
+// How long after the expected arrival a reservation is held when no expiry is given
+export const RESERVATION_GRACE_HOURS = Number(process.env.RESERVATION_GRACE_HOURS) || 2;
+
+export const reservationInclude = {
+  bed: true,
+  patient: true,
+  reservedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  }
+};
+
+// Hold an AVAILABLE bed. Throws a 409-tagged error if the bed was taken meanwhile.
+export const reserveBed = async ({ bedId, patientId, placeholderName, expectedArrival, expiresAt, notes, reservedById }) => {
+  const reservation = await prisma.$transaction(async (client) => {
+    const { count } = await client.bed.updateMany({
+      where: {
+        id: bedId,
+        status: 'AVAILABLE'
+      },
+      data: {
+        status: 'RESERVED',
+        version: {
+          increment: 1
+        }
+      }
+    });
+
+    if (count === 0) {
+      throw conflictError('Bed is no longer available');
+    }
+
+    return client.bedReservation.create({
+      data: {
+        bedId,
+        patientId,
+        placeholderName,
+        expectedArrival,
+        expiresAt: expiresAt || new Date(expectedArrival.getTime() + RESERVATION_GRACE_HOURS * 60 * 60 * 1000),
+        notes,
+        reservedById
+      },
+      include: reservationInclude
+    });
+  });
+
+  publish('reservation.created', reservation, { ward: reservation.bed.ward });
+  publish('bed.status', reservation.bed, { ward: reservation.bed.ward });
+
+  return reservation;
+};
+
+// End an ACTIVE reservation (CANCELLED or EXPIRED) and return its bed to AVAILABLE
+export const releaseReservation = async (reservation, status) => {
+  const released = await prisma.$transaction(async (client) => {
+    const { count } = await client.bedReservation.updateMany({
+      where: {
+        id: reservation.id,
+        status: 'ACTIVE'
+      },
+      data: {
+        status
+      }
+    });
+
+    if (count === 0) {
+      throw conflictError('Reservation is no longer active');
+    }
+
+    // Only touch the bed if it is still held; it may have been changed by hand
+    await client.bed.updateMany({
+      where: {
+        id: reservation.bedId,
+        status: 'RESERVED'
+      },
+      data: {
+        status: 'AVAILABLE',
+        version: {
+          increment: 1
+        }
+      }
+    });
+
+    return client.bedReservation.findUnique({
+      where: {
+        id: reservation.id
+      },
+      include: reservationInclude
+    });
+  });
+
+  publish(`reservation.${status.toLowerCase()}`, released, { ward: released.bed.ward });
+  publish('bed.status', released.bed, { ward: released.bed.ward });
+
+  return released;
+};
+
+// Expire reservations whose hold has run out
+export const expireReservations = async () => {
+  const lapsed = await prisma.bedReservation.findMany({
+    where: {
+      status: 'ACTIVE',
+      expiresAt: {
+        lte: new Date()
+      }
+    }
+  });
+
+  let expired = 0;
+
+  for (const reservation of lapsed) {
+    try {
+      await releaseReservation(reservation, 'EXPIRED');
+      expired++;
+    } catch (error) {
+      // Converted or cancelled while this run was in progress
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+  }
+
+  return expired;
+};
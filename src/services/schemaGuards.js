@@ -0,0 +1,24 @@
+import { prisma } from '../index.js';
+
+// Partial unique indexes created by hand-written migrations. Prisma cannot express them,
+// so `prisma migrate dev` drops them unless the generated DROP INDEX lines are removed;
+// without them two admissions or reservations can take the same bed.
+const PARTIAL_UNIQUE_INDEXES = [
+  'Admission_bedId_active_key',
+  'Admission_patientId_active_key',
+  'BedReservation_bedId_active_key'
+];
+
+// Throws when any of the indexes is missing from the database
+export const checkPartialIndexes = async (client = prisma) => {
+  const found = await client.$queryRaw`
+    SELECT "indexname" FROM "pg_indexes"
+    WHERE "schemaname" = current_schema() AND "indexname" = ANY(${PARTIAL_UNIQUE_INDEXES})
+  `;
+  const names = new Set(found.map(row => row.indexname));
+  const missing = PARTIAL_UNIQUE_INDEXES.filter(name => !names.has(name));
+
+  if (missing.length > 0) {
+    throw new Error(`Missing partial unique indexes: ${missing.join(', ')}. Recreate them from the bed allocation and reservation migrations (see prisma/schema.prisma).`);
+  }
+};
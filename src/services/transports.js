@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import nodemailer from 'nodemailer';
+
+// Delivery adapters for reminders. Each transport has send({ to, subject, body })
+// which resolves with { providerId } or throws so the worker can retry.
+// Pick one per channel with EMAIL_TRANSPORT (smtp, file, console) and
+// SMS_TRANSPORT (http, file, console). There is no default: console and file only
+// write messages locally and must be chosen explicitly, for development.
+
+const consoleTransport = (channel) => ({
+  send: async ({ to, subject, body }) => {
+    console.log(`[${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${body}`);
+    return { providerId: null };
+  }
+});
+
+// Appends one JSON line per message, for local testing without a network
+const fileTransport = (channel) => {
+  const path = process.env.NOTIFICATION_FILE || 'notifications.log';
+
+  return {
+    send: async (message) => {
+      await fs.appendFile(path, JSON.stringify({ channel, ...message, sentAt: new Date() }) + '\n');
+      return { providerId: null };
+    }
+  };
+};
+
+const smtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set to use the smtp transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: async ({ to, subject, body }) => {
+      const info = await transporter.sendMail({
+        from: process.env.SMTP_FROM || 'MediConnect <no-reply@mediconnect.local>',
+        to,
+        subject,
+        text: body
+      });
+
+      return { providerId: info.messageId };
+    }
+  };
+};
+
+// Generic HTTP SMS gateway: POSTs { to, from, message } as JSON to SMS_GATEWAY_URL
+const httpSmsTransport = () => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    throw new Error('SMS_GATEWAY_URL must be set to use the http transport');
+  }
+
+  return {
+    send: async ({ to, body }) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.SMS_GATEWAY_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+      }
+
+      const response = await fetch(process.env.SMS_GATEWAY_URL, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ to, from: process.env.SMS_SENDER, message: body }),
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { providerId: result.id || result.messageId || null };
+    }
+  };
+};
+
+const FACTORIES = {
+  EMAIL: {
+    smtp: smtpTransport,
+    file: () => fileTransport('EMAIL'),
+    console: () => consoleTransport('EMAIL')
+  },
+  SMS: {
+    http: httpSmsTransport,
+    file: () => fileTransport('SMS'),
+    console: () => consoleTransport('SMS')
+  }
+};
+
+const transports = {};
+
+export const getTransport = (channel) => {
+  if (!transports[channel]) {
+    const name = (process.env[`${channel}_TRANSPORT`] || '').toLowerCase();
+
+    if (!name) {
+      throw new Error(`No ${channel} transport configured; set ${channel}_TRANSPORT`);
+    }
+
+    const factory = FACTORIES[channel] && FACTORIES[channel][name];
+
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport "${name}"`);
+    }
+
+    transports[channel] = factory();
+  }
+
+  return transports[channel];
+};
@@ -0,0 +1,238 @@
+import { prisma } from '../index.js';
+import { dayRange } from './availability.js';
+import { publish } from './events.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Five-level acuity scale (Manchester Triage System). maxWaitMinutes is the target
+// time from arrival to being seen by a doctor.
+export const TRIAGE_LEVELS = {
+  1: { name: 'Immediate', colour: 'RED', maxWaitMinutes: 0 },
+  2: { name: 'Very urgent', colour: 'ORANGE', maxWaitMinutes: 10 },
+  3: { name: 'Urgent', colour: 'YELLOW', maxWaitMinutes: 60 },
+  4: { name: 'Standard', colour: 'GREEN', maxWaitMinutes: 120 },
+  5: { name: 'Non-urgent', colour: 'BLUE', maxWaitMinutes: 240 }
+};
+
+// Include for the latest triage assessment of an appointment
+export const latestTriageInclude = {
+  orderBy: {
+    assessedAt: 'desc'
+  },
+  take: 1
+};
+
+const currentTriage = (appointment) => (appointment.triages && appointment.triages[0]) || null;
+
+const arrivalOf = (appointment) => {
+  const triage = currentTriage(appointment);
+  return appointment.arrivedAt || (triage ? triage.assessedAt : appointment.createdAt);
+};
+
+const minutesBetween = (from, to) => Math.floor((to - from) / MINUTE_MS);
+
+// Queue order for waiting patients: triaged emergencies by acuity then arrival,
+// ahead of everyone else in queue-number order
+export const compareQueuePriority = (a, b) => {
+  const triageA = a.type === 'EMERGENCY' ? currentTriage(a) : null;
+  const triageB = b.type === 'EMERGENCY' ? currentTriage(b) : null;
+
+  if (triageA && triageB) {
+    return triageA.acuity - triageB.acuity || arrivalOf(a) - arrivalOf(b);
+  }
+
+  if (triageA || triageB) {
+    return triageA ? -1 : 1;
+  }
+
+  return (a.queueNumber || 0) - (b.queueNumber || 0);
+};
+
+// Wait figures for a waiting emergency patient
+const describeWait = (appointment, now) => {
+  const triage = currentTriage(appointment);
+  const level = triage ? TRIAGE_LEVELS[triage.acuity] : null;
+  const waitMinutes = minutesBetween(arrivalOf(appointment), now);
+
+  return {
+    ...appointment,
+    triage,
+    level,
+    waitMinutes,
+    maxWaitMinutes: level ? level.maxWaitMinutes : null,
+    overdue: level ? waitMinutes > level.maxWaitMinutes : false
+  };
+};
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Emergency department board for a day: who is waiting (by priority), who is
+// being treated, and arrival-to-doctor times for patients seen so far
+export const getEmergencyBoard = async ({ date = new Date(), doctorId } = {}) => {
+  const { start, end } = dayRange(date);
+  const now = new Date();
+
+  const where = {
+    type: 'EMERGENCY',
+    date: {
+      gte: start,
+      lt: end
+    },
+    status: {
+      in: ['IN_QUEUE', 'IN_PROGRESS', 'COMPLETED']
+    }
+  };
+
+  if (doctorId) {
+    where.doctorId = doctorId;
+  }
+
+  const appointments = await prisma.appointment.findMany({
+    where,
+    include: {
+      patient: true,
+      doctor: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true
+        }
+      },
+      triages: latestTriageInclude,
+      statusHistory: {
+        where: {
+          toStatus: 'IN_PROGRESS'
+        },
+        orderBy: {
+          changedAt: 'asc'
+        },
+        take: 1
+      }
+    }
+  });
+
+  const queued = appointments.filter(appointment => appointment.status === 'IN_QUEUE');
+
+  const awaitingTriage = queued
+    .filter(appointment => !currentTriage(appointment))
+    .map(appointment => describeWait(appointment, now))
+    .sort((a, b) => b.waitMinutes - a.waitMinutes);
+
+  const waiting = queued
+    .filter(appointment => currentTriage(appointment))
+    .sort(compareQueuePriority)
+    .map(appointment => describeWait(appointment, now));
+
+  const inTreatment = appointments
+    .filter(appointment => appointment.status === 'IN_PROGRESS')
+    .map(appointment => ({
+      ...appointment,
+      triage: currentTriage(appointment),
+      treatmentMinutes: appointment.statusHistory[0]
+        ? minutesBetween(appointment.statusHistory[0].changedAt, now)
+        : null
+    }));
+
+  // Arrival to first IN_PROGRESS, for everyone seen today
+  const seen = appointments
+    .filter(appointment => appointment.statusHistory[0])
+    .map(appointment => ({
+      acuity: currentTriage(appointment) ? currentTriage(appointment).acuity : null,
+      minutes: minutesBetween(arrivalOf(appointment), appointment.statusHistory[0].changedAt)
+    }));
+
+  const byAcuity = Object.entries(TRIAGE_LEVELS).map(([acuity, level]) => {
+    const times = seen.filter(entry => entry.acuity === Number(acuity)).map(entry => entry.minutes);
+
+    return {
+      acuity: Number(acuity),
+      ...level,
+      waiting: waiting.filter(appointment => appointment.triage.acuity === Number(acuity)).length,
+      seen: times.length,
+      medianTimeToDoctorMinutes: median(times),
+      seenWithinTarget: times.filter(minutes => minutes <= level.maxWaitMinutes).length
+    };
+  });
+
+  return {
+    date: start.toISOString().split('T')[0],
+    awaitingTriage,
+    waiting,
+    inTreatment,
+    metrics: {
+      awaitingTriage: awaitingTriage.length,
+      waiting: waiting.length,
+      inTreatment: inTreatment.length,
+      overdue: waiting.filter(appointment => appointment.overdue).length,
+      longestWaitMinutes: Math.max(0, ...[...awaitingTriage, ...waiting].map(appointment => appointment.waitMinutes)),
+      seen: seen.length,
+      medianTimeToDoctorMinutes: median(seen.map(entry => entry.minutes)),
+      byAcuity
+    }
+  };
+};
+
+// Raise a triage.breach event for each waiting emergency patient who has gone past
+// the maximum wait for their category. Each breach is raised once per assessment.
+export const checkWaitBreaches = async () => {
+  const now = new Date();
+
+  const waiting = await prisma.appointment.findMany({
+    where: {
+      type: 'EMERGENCY',
+      status: 'IN_QUEUE',
+      waitAlertedAt: null,
+      triages: {
+        some: {}
+      }
+    },
+    include: {
+      patient: true,
+      triages: latestTriageInclude
+    }
+  });
+
+  const breaches = waiting
+    .map(appointment => describeWait(appointment, now))
+    .filter(appointment => appointment.overdue);
+
+  let raised = 0;
+
+  for (const appointment of breaches) {
+    const { count } = await prisma.appointment.updateMany({
+      where: {
+        id: appointment.id,
+        waitAlertedAt: null
+      },
+      data: {
+        waitAlertedAt: now
+      }
+    });
+
+    if (count === 0) {
+      continue;
+    }
+
+    publish('triage.breach', {
+      appointmentId: appointment.id,
+      patientId: appointment.patientId,
+      patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+      doctorId: appointment.doctorId,
+      acuity: appointment.triage.acuity,
+      level: appointment.level.name,
+      waitMinutes: appointment.waitMinutes,
+      maxWaitMinutes: appointment.maxWaitMinutes
+    }, { doctorId: appointment.doctorId });
+    raised++;
+  }
+
+  return raised;
+};
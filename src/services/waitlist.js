@@ -0,0 +1,339 @@
+import { prisma } from '../index.js';
+import { dayRange, findBookingConflict, toMinutes } from './availability.js';
+import { recordStatusChange } from './appointmentStatus.js';
+import { allocateQueueNumber, lockDoctorDay, publishQueue } from './queue.js';
+import { publish } from './events.js';
+
+// How long an offered slot is held for a patient before moving to the next candidate
+export const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+const statusError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const windowMatches = (window, date, time) => {
+  if (date < dayRange(window.startDate).start || date > dayRange(window.endDate).start) {
+    return false;
+  }
+
+  const minutes = toMinutes(time);
+
+  if (window.startTime && minutes < toMinutes(window.startTime)) {
+    return false;
+  }
+
+  if (window.endTime && minutes >= toMinutes(window.endTime)) {
+    return false;
+  }
+
+  return true;
+};
+
+// Oldest waiting entry for the doctor whose windows cover the slot and who
+// has not already been offered this exact slot
+const findNextCandidate = async (client, slot) => {
+  const previousOffers = await client.waitlistOffer.findMany({
+    where: {
+      doctorId: slot.doctorId,
+      date: slot.date,
+      time: slot.time
+    },
+    select: {
+      entryId: true
+    }
+  });
+
+  const entries = await client.waitlistEntry.findMany({
+    where: {
+      doctorId: slot.doctorId,
+      status: 'WAITING',
+      id: {
+        notIn: previousOffers.map(offer => offer.entryId)
+      },
+      windows: {
+        some: {
+          startDate: {
+            lte: slot.date
+          },
+          endDate: {
+            gte: slot.date
+          }
+        }
+      }
+    },
+    include: {
+      windows: true
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  });
+
+  return entries.find(entry => entry.windows.some(window => windowMatches(window, slot.date, slot.time)));
+};
+
+const bookFromWaitlist = async (client, entry, slot, changedById) => {
+  const appointment = await client.appointment.create({
+    data: {
+      patientId: entry.patientId,
+      doctorId: entry.doctorId,
+      date: slot.date,
+      time: slot.time,
+      status: 'SCHEDULED',
+      type: entry.type,
+      notes: entry.notes,
+      queueNumber: await allocateQueueNumber(client, entry.doctorId, slot.date)
+    },
+    include: {
+      patient: true,
+      doctor: true
+    }
+  });
+
+  await recordStatusChange(client, {
+    appointmentId: appointment.id,
+    toStatus: 'SCHEDULED',
+    changedById,
+    reason: 'Booked from waitlist'
+  });
+
+  await client.waitlistEntry.update({
+    where: {
+      id: entry.id
+    },
+    data: {
+      status: 'BOOKED'
+    }
+  });
+
+  return appointment;
+};
+
+const publishOutcome = (result) => {
+  if (!result) {
+    return;
+  }
+
+  publish('waitlist.offer', result.offer, { doctorId: result.offer.doctorId });
+
+  if (result.appointment) {
+    publish('appointment.created', result.appointment, { doctorId: result.appointment.doctorId });
+    publishQueue(result.appointment.doctorId, result.appointment.date);
+  }
+};
+
+// Offer a freed slot to the next eligible waitlisted patient, or book it straight away
+// for entries registered with autoBook. Returns { offer, appointment? } or null.
+export const backfillSlot = async ({ doctorId, date, time }) => {
+  const slot = { doctorId, date: dayRange(date).start, time };
+
+  if (slot.date < dayRange(new Date()).start) {
+    return null;
+  }
+
+  const result = await prisma.$transaction(async (client) => {
+    // Someone may already have booked or been offered the slot
+    const conflict = await findBookingConflict(doctorId, slot.date, time, { client });
+    if (conflict) {
+      return null;
+    }
+
+    const entry = await findNextCandidate(client, slot);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.autoBook) {
+      const appointment = await bookFromWaitlist(client, entry, slot, entry.createdById);
+      const offer = await client.waitlistOffer.create({
+        data: {
+          entryId: entry.id,
+          doctorId,
+          date: slot.date,
+          time,
+          status: 'ACCEPTED',
+          expiresAt: new Date(),
+          respondedAt: new Date(),
+          appointmentId: appointment.id
+        }
+      });
+
+      return { offer, appointment };
+    }
+
+    await client.waitlistEntry.update({
+      where: {
+        id: entry.id
+      },
+      data: {
+        status: 'OFFERED'
+      }
+    });
+
+    const offer = await client.waitlistOffer.create({
+      data: {
+        entryId: entry.id,
+        doctorId,
+        date: slot.date,
+        time,
+        expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+      }
+    });
+
+    return { offer };
+  }, { isolationLevel: 'Serializable' });
+
+  publishOutcome(result);
+  return result;
+};
+
+// Fire-and-forget backfill used when an appointment releases its slot
+export const releaseSlot = (appointment) => {
+  backfillSlot(appointment).catch(error => {
+    console.error('Waitlist backfill failed:', error.message);
+  });
+};
+
+export const acceptOffer = async (offerId, changedById) => {
+  const appointment = await prisma.$transaction(async (client) => {
+    const offer = await client.waitlistOffer.findUnique({
+      where: {
+        id: offerId
+      },
+      include: {
+        entry: true
+      }
+    });
+
+    if (!offer) {
+      throw statusError(404, 'Offer not found');
+    }
+
+    if (offer.status !== 'OFFERED' || offer.expiresAt <= new Date()) {
+      throw statusError(409, 'Offer is no longer open');
+    }
+
+    // The day is locked before the check, as for any booking, so nothing can be booked into
+    // the slot before this one commits. The slot is held by this offer, so only its own hold is ignored.
+    await lockDoctorDay(client, offer.doctorId, offer.date);
+
+    const conflict = await findBookingConflict(offer.doctorId, offer.date, offer.time, {
+      excludeOfferId: offer.id,
+      client
+    });
+
+    if (conflict) {
+      throw statusError(409, conflict);
+    }
+
+    const booked = await bookFromWaitlist(client, offer.entry, offer, changedById);
+
+    await client.waitlistOffer.update({
+      where: {
+        id: offer.id
+      },
+      data: {
+        status: 'ACCEPTED',
+        respondedAt: new Date(),
+        appointmentId: booked.id
+      }
+    });
+
+    return booked;
+  });
+
+  publish('appointment.created', appointment, { doctorId: appointment.doctorId });
+  publishQueue(appointment.doctorId, appointment.date);
+
+  return appointment;
+};
+
+// Close an open offer (declined or expired), return the entry to the waitlist
+// and move the slot on to the next candidate
+const closeOffer = async (offer, status) => {
+  const { count } = await prisma.waitlistOffer.updateMany({
+    where: {
+      id: offer.id,
+      status: 'OFFERED'
+    },
+    data: {
+      status,
+      respondedAt: status === 'DECLINED' ? new Date() : null
+    }
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  await prisma.waitlistEntry.updateMany({
+    where: {
+      id: offer.entryId,
+      status: 'OFFERED'
+    },
+    data: {
+      status: 'WAITING'
+    }
+  });
+
+  releaseSlot(offer);
+  return true;
+};
+
+export const declineOffer = async (offerId) => {
+  const offer = await prisma.waitlistOffer.findUnique({
+    where: {
+      id: offerId
+    }
+  });
+
+  if (!offer) {
+    throw statusError(404, 'Offer not found');
+  }
+
+  if (!(await closeOffer(offer, 'DECLINED'))) {
+    throw statusError(409, 'Offer is no longer open');
+  }
+
+  return prisma.waitlistOffer.findUnique({
+    where: {
+      id: offerId
+    }
+  });
+};
+
+// Expire lapsed offers and entries whose preferred windows have all passed
+export const expireWaitlist = async () => {
+  const lapsedOffers = await prisma.waitlistOffer.findMany({
+    where: {
+      status: 'OFFERED',
+      expiresAt: {
+        lte: new Date()
+      }
+    }
+  });
+
+  for (const offer of lapsedOffers) {
+    await closeOffer(offer, 'EXPIRED');
+  }
+
+  const { count } = await prisma.waitlistEntry.updateMany({
+    where: {
+      status: 'WAITING',
+      windows: {
+        every: {
+          endDate: {
+            lt: dayRange(new Date()).start
+          }
+        }
+      }
+    },
+    data: {
+      status: 'EXPIRED'
+    }
+  });
+
+  return { expiredOffers: lapsedOffers.length, expiredEntries: count };
+};
@@ -0,0 +1,109 @@
+// Bed include that carries everything the placement rules need
+export const bedPlacementInclude = {
+  room: {
+    include: {
+      ward: true
+    }
+  }
+};
+
+// Ward -> room -> bed tree, as served by GET /api/beds/ward/:ward and GET /api/wards/:id
+export const wardTreeInclude = {
+  rooms: {
+    include: {
+      beds: {
+        include: {
+          patient: true
+        },
+        orderBy: {
+          bedNumber: 'asc'
+        }
+      }
+    },
+    orderBy: {
+      name: 'asc'
+    }
+  }
+};
+
+export const ageInYears = (dateOfBirth, at = new Date()) => {
+  const birth = new Date(dateOfBirth);
+  let age = at.getUTCFullYear() - birth.getUTCFullYear();
+
+  if (at.getUTCMonth() < birth.getUTCMonth()
+    || (at.getUTCMonth() === birth.getUTCMonth() && at.getUTCDate() < birth.getUTCDate())) {
+    age--;
+  }
+
+  return age;
+};
+
+// Other patients with an ACTIVE admission in the same room
+export const findRoommates = (client, roomId, patientId) => client.admission.findMany({
+  where: {
+    status: 'ACTIVE',
+    patientId: {
+      not: patientId
+    },
+    bed: {
+      roomId
+    }
+  },
+  select: {
+    patientId: true,
+    isolationRequired: true,
+    patient: {
+      select: {
+        gender: true
+      }
+    }
+  }
+});
+
+// Rules of a room and its ward applied to a patient, given the room's other occupants
+// (as returned by findRoommates). Returns the violations; empty means allowed.
+export const placementViolations = ({ patient, room, roommates, isolationRequired = false, at = new Date() }) => {
+  const { ward } = room;
+  const violations = [];
+  const age = ageInYears(patient.dateOfBirth, at);
+
+  if (ward.minAgeYears !== null && age < ward.minAgeYears) {
+    violations.push(`${ward.name} admits patients aged ${ward.minAgeYears} and over`);
+  }
+
+  if (ward.maxAgeYears !== null && age > ward.maxAgeYears) {
+    violations.push(`${ward.name} admits patients aged up to ${ward.maxAgeYears}`);
+  }
+
+  if (isolationRequired && !room.isolation) {
+    violations.push(`Room ${room.name} is not an isolation room`);
+  }
+
+  if (room.gender && patient.gender !== room.gender) {
+    violations.push(`Room ${room.name} is reserved for ${room.gender.toLowerCase()} patients`);
+  }
+
+  if (roommates.length > 0) {
+    if (isolationRequired) {
+      violations.push(`Room ${room.name} is shared; isolation needs a room to itself`);
+    }
+
+    if (roommates.some(roommate => roommate.isolationRequired)) {
+      violations.push(`Room ${room.name} holds a patient in isolation`);
+    }
+
+    if (ward.singleGenderBays && roommates.some(roommate => roommate.patient.gender !== patient.gender)) {
+      violations.push(`Room ${room.name} is a single-gender bay occupied by patients of another gender`);
+    }
+  }
+
+  return violations;
+};
+
+// Check a patient against the rules of the ward and room a bed belongs to. The bed
+// must be loaded with bedPlacementInclude.
+export const checkPlacement = async (client, { patient, bed, isolationRequired = false, at = new Date() }) => {
+  const roommates = await findRoommates(client, bed.room.id, patient.id);
+
+  return placementViolations({ patient, room: bed.room, roommates, isolationRequired, at });
+};
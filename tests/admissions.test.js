@@ -0,0 +1,131 @@
+import request from 'supertest';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import admissionRoutes from '../src/routes/admissions.js';
+import { createApp } from './helpers/app.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const app = createApp('/api/admissions', admissionRoutes);
+
+const PATIENT_ID = '5f0c6a52-8c4e-4f4b-9a55-0d6f3f1c2a10';
+const BED_ID = '3c2b1a09-8f7e-4d6c-9b5a-4f3e2d1c0b9a';
+
+const RESERVATION_ID = '7e6d5c4b-3a29-4180-b7c6-d5e4f3a2b1c0';
+
+const bed = {
+  id: BED_ID,
+  status: 'AVAILABLE',
+  ward: 'GENERAL',
+  room: {
+    id: 'room-1',
+    name: '101',
+    isolation: false,
+    gender: null,
+    ward: { name: 'General', minAgeYears: null, maxAgeYears: null, singleGenderBays: false }
+  }
+};
+
+const admit = {
+  patientId: PATIENT_ID,
+  bedId: BED_ID,
+  doctorId: 'doctor-1',
+  admissionDate: '2026-11-02',
+  diagnosis: 'Pneumonia'
+};
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  prisma.patient.findUnique.mockResolvedValue({ id: PATIENT_ID, dateOfBirth: new Date('1980-05-01'), gender: 'FEMALE' });
+  prisma.bed.findUnique.mockResolvedValue(bed);
+  prisma.user.findUnique.mockResolvedValue({ id: 'doctor-1', role: 'DOCTOR', active: true });
+  prisma.bed.updateMany.mockResolvedValue({ count: 1 });
+  prisma.admission.create.mockImplementation(async ({ data }) => ({
+    id: 'admission-1',
+    bedId: BED_ID,
+    doctorId: 'doctor-1',
+    admissionDate: data.admissionDate,
+    status: data.status,
+    version: 0,
+    bed: { ...bed, status: 'OCCUPIED' }
+  }));
+});
+
+describe('POST /api/admissions', () => {
+  it('occupies the bed only if it is still available and opens the first stay', async () => {
+    const response = await request(app).post('/api/admissions').send(admit);
+
+    expect(response.status).toBe(201);
+    expect(response.headers.etag).toBe('W/"0"');
+    expect(prisma.bed.updateMany).toHaveBeenCalledWith({
+      where: { id: BED_ID, status: 'AVAILABLE' },
+      data: expect.objectContaining({ status: 'OCCUPIED', patientId: PATIENT_ID, version: { increment: 1 } })
+    });
+    expect(prisma.bedStay.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ admissionId: 'admission-1', bedId: BED_ID, ward: 'GENERAL', reason: 'Admitted' })
+    });
+  });
+
+  it('rejects when another admission took the bed first', async () => {
+    prisma.bed.updateMany.mockResolvedValue({ count: 0 });
+
+    const response = await request(app).post('/api/admissions').send(admit);
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Bed is no longer available');
+    expect(prisma.admission.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects when the patient was admitted elsewhere in the meantime', async () => {
+    prisma.admission.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'admission-2', status: 'ACTIVE' });
+
+    const response = await request(app).post('/api/admissions').send(admit);
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Patient already has an active admission');
+    expect(prisma.admission.create).not.toHaveBeenCalled();
+  });
+
+  it('maps a one-active-admission index violation to a conflict', async () => {
+    prisma.admission.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    const response = await request(app).post('/api/admissions').send(admit);
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Bed or patient already has an active admission');
+  });
+
+  it('refuses a reserved bed without its reservation', async () => {
+    prisma.bed.findUnique.mockResolvedValue({ ...bed, status: 'RESERVED' });
+
+    const response = await request(app).post('/api/admissions').send(admit);
+
+    expect(response.status).toBe(400);
+    expect(prisma.bed.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not admit into a reservation that was released meanwhile', async () => {
+    prisma.bedReservation.findUnique.mockResolvedValue({ id: RESERVATION_ID, bedId: BED_ID, patientId: null, status: 'ACTIVE' });
+    prisma.bed.findUnique.mockResolvedValue({ ...bed, status: 'RESERVED' });
+    prisma.bedReservation.updateMany.mockResolvedValue({ count: 0 });
+
+    const response = await request(app).post('/api/admissions').send({ ...admit, bedId: undefined, reservationId: RESERVATION_ID });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Reservation is no longer active');
+    expect(prisma.bed.updateMany).toHaveBeenCalledWith({
+      where: { id: BED_ID, status: 'RESERVED' },
+      data: expect.objectContaining({ status: 'OCCUPIED' })
+    });
+    expect(prisma.bedReservation.updateMany).toHaveBeenCalledWith({
+      where: { id: RESERVATION_ID, status: 'ACTIVE' },
+      data: { status: 'CONVERTED', admissionId: 'admission-1' }
+    });
+    expect(prisma.bedStay.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { canTransition, changeAppointmentStatus, STATUS_TRANSITIONS } from '../src/services/appointmentStatus.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+const appointment = { id: 'appointment-1', status: 'SCHEDULED', doctorId: 'doctor-1' };
+
+describe('STATUS_TRANSITIONS', () => {
+  it('follows the appointment lifecycle', () => {
+    expect(STATUS_TRANSITIONS).toEqual({
+      SCHEDULED: ['IN_QUEUE', 'CANCELLED', 'RESCHEDULED', 'NO_SHOW'],
+      IN_QUEUE: ['IN_PROGRESS', 'CANCELLED', 'RESCHEDULED'],
+      IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+      COMPLETED: [],
+      CANCELLED: [],
+      RESCHEDULED: [],
+      NO_SHOW: []
+    });
+  });
+
+  it('only allows listed transitions', () => {
+    expect(canTransition('SCHEDULED', 'IN_QUEUE')).toBe(true);
+    expect(canTransition('IN_QUEUE', 'NO_SHOW')).toBe(false);
+    expect(canTransition('COMPLETED', 'CANCELLED')).toBe(false);
+    expect(canTransition('UNKNOWN', 'CANCELLED')).toBe(false);
+  });
+});
+
+describe('changeAppointmentStatus', () => {
+  it('updates only while the status is unchanged and records the change', async () => {
+    const client = createFakePrisma();
+    client.appointment.updateMany.mockResolvedValue({ count: 1 });
+    client.appointment.findUnique.mockResolvedValue({ ...appointment, status: 'IN_QUEUE' });
+
+    const updated = await changeAppointmentStatus(client, appointment, 'IN_QUEUE', { changedById: 'user-1', reason: 'Arrived' });
+
+    expect(updated.status).toBe('IN_QUEUE');
+    expect(client.appointment.updateMany).toHaveBeenCalledWith({
+      where: { id: 'appointment-1', status: 'SCHEDULED' },
+      data: { status: 'IN_QUEUE' }
+    });
+    expect(client.appointmentStatusHistory.create).toHaveBeenCalledWith({
+      data: {
+        appointmentId: 'appointment-1',
+        fromStatus: 'SCHEDULED',
+        toStatus: 'IN_QUEUE',
+        changedById: 'user-1',
+        reason: 'Arrived'
+      }
+    });
+  });
+
+  it('rejects a transition that is not allowed with the allowed ones', async () => {
+    const client = createFakePrisma();
+
+    await expect(changeAppointmentStatus(client, { ...appointment, status: 'COMPLETED' }, 'CANCELLED'))
+      .rejects.toMatchObject({ status: 409, allowed: [] });
+    expect(client.appointment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects when another request changed the status first', async () => {
+    const client = createFakePrisma();
+    client.appointment.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(changeAppointmentStatus(client, appointment, 'CANCELLED'))
+      .rejects.toMatchObject({ status: 409, message: 'Appointment status was changed by another request' });
+    expect(client.appointmentStatusHistory.create).not.toHaveBeenCalled();
+  });
+});
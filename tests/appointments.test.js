@@ -0,0 +1,244 @@
+import request from 'supertest';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import appointmentRoutes from '../src/routes/appointments.js';
+import { createApp } from './helpers/app.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const app = createApp('/api/appointments', appointmentRoutes);
+
+const PATIENT_ID = '5f0c6a52-8c4e-4f4b-9a55-0d6f3f1c2a10';
+
+const firstCall = (mock) => mock.mock.invocationCallOrder[0];
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  prisma.$queryRaw.mockResolvedValue([{ lastNumber: 4 }]);
+});
+
+describe('POST /api/appointments', () => {
+  const booking = {
+    patientId: PATIENT_ID,
+    doctorId: 'doctor-1',
+    date: '2026-11-02',
+    time: '09:20',
+    status: 'SCHEDULED',
+    type: 'GENERAL'
+  };
+
+  beforeEach(() => {
+    prisma.patient.findUnique.mockResolvedValue({ id: PATIENT_ID });
+    prisma.user.findUnique.mockResolvedValue({ id: 'doctor-1', role: 'DOCTOR', active: true });
+    prisma.appointment.create.mockImplementation(async ({ data }) => ({
+      id: 'appointment-new',
+      doctorId: 'doctor-1',
+      date: data.date,
+      time: data.time,
+      status: data.status,
+      queueNumber: data.queueNumber
+    }));
+  });
+
+  it('takes the queue number, and with it the day lock, before checking the slot', async () => {
+    const response = await request(app).post('/api/appointments').send(booking);
+
+    expect(response.status).toBe(201);
+    expect(response.body.queueNumber).toBe(4);
+    expect(firstCall(prisma.$queryRaw)).toBeLessThan(firstCall(prisma.appointment.findMany));
+    expect(prisma.appointmentStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ appointmentId: 'appointment-new', toStatus: 'SCHEDULED', changedById: 'user-admin' })
+    });
+  });
+
+  it('rejects a slot another appointment holds', async () => {
+    prisma.appointment.findMany.mockResolvedValue([{ id: 'appointment-1', time: '09:20' }]);
+
+    const response = await request(app).post('/api/appointments').send(booking);
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Doctor already has an appointment at 09:20');
+    expect(prisma.appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('books emergencies without checking the slot', async () => {
+    prisma.appointment.findMany.mockResolvedValue([{ id: 'appointment-1', time: '09:20' }]);
+
+    const response = await request(app).post('/api/appointments').send({ ...booking, type: 'EMERGENCY' });
+
+    expect(response.status).toBe(201);
+    expect(prisma.doctorSchedule.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('only creates appointments in an initial status', async () => {
+    const response = await request(app).post('/api/appointments').send({ ...booking, status: 'COMPLETED' });
+
+    expect(response.status).toBe(400);
+    expect(prisma.appointment.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/appointments/:id/reschedule', () => {
+  const APPOINTMENT_ID = '0b7d2c1e-3f4a-4b5c-8d6e-7f8091a2b3c4';
+
+  const original = {
+    id: APPOINTMENT_ID,
+    patientId: PATIENT_ID,
+    doctorId: 'doctor-1',
+    date: new Date('2026-11-02'),
+    time: '09:20',
+    status: 'SCHEDULED',
+    type: 'GENERAL'
+  };
+
+  const move = { date: '2026-11-03', time: '10:00', reason: 'Patient asked' };
+
+  beforeEach(() => {
+    prisma.appointment.findUnique
+      .mockResolvedValueOnce(original)
+      .mockResolvedValueOnce({ ...original, status: 'RESCHEDULED' });
+    prisma.appointment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.appointment.create.mockImplementation(async ({ data }) => ({ id: 'appointment-new', ...data }));
+  });
+
+  it('locks the new day before checking it and links the replacement to the original', async () => {
+    const response = await request(app).post(`/api/appointments/${APPOINTMENT_ID}/reschedule`).send(move);
+
+    expect(response.status).toBe(201);
+    expect(firstCall(prisma.$queryRaw)).toBeLessThan(firstCall(prisma.appointment.findMany));
+    expect(prisma.appointment.updateMany).toHaveBeenCalledWith({
+      where: { id: APPOINTMENT_ID, status: 'SCHEDULED' },
+      data: { status: 'RESCHEDULED' }
+    });
+    expect(response.body).toMatchObject({
+      rescheduledFromId: APPOINTMENT_ID,
+      date: '2026-11-03T00:00:00.000Z',
+      time: '10:00',
+      status: 'SCHEDULED',
+      queueNumber: 4
+    });
+  });
+
+  it('does not count the appointment being moved as a clash', async () => {
+    prisma.appointment.findMany.mockResolvedValue([{ id: APPOINTMENT_ID, time: '10:00' }]);
+
+    const response = await request(app).post(`/api/appointments/${APPOINTMENT_ID}/reschedule`).send(move);
+
+    expect(response.status).toBe(201);
+  });
+
+  it('leaves the original untouched when the new slot is taken', async () => {
+    prisma.appointment.findMany.mockResolvedValue([{ id: 'appointment-2', time: '10:00' }]);
+
+    const response = await request(app).post(`/api/appointments/${APPOINTMENT_ID}/reschedule`).send(move);
+
+    expect(response.status).toBe(409);
+    expect(prisma.appointment.updateMany).not.toHaveBeenCalled();
+    expect(prisma.appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('creates no replacement when the original changed status concurrently', async () => {
+    prisma.appointment.updateMany.mockResolvedValue({ count: 0 });
+
+    const response = await request(app).post(`/api/appointments/${APPOINTMENT_ID}/reschedule`).send(move);
+
+    expect(response.status).toBe(409);
+    expect(prisma.appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses appointments that can no longer be rescheduled', async () => {
+    prisma.appointment.findUnique.mockReset().mockResolvedValue({ ...original, status: 'COMPLETED' });
+
+    const response = await request(app).post(`/api/appointments/${APPOINTMENT_ID}/reschedule`).send(move);
+
+    expect(response.status).toBe(409);
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
+
+describe('recurring series', () => {
+  const SERIES_ID = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+
+  // The queue boards refreshed after a change, one per day
+  const publishedQueueDays = () => prisma.appointment.findMany.mock.calls
+    .filter(([args]) => args.include && args.include.triages)
+    .map(([args]) => args.where.date.gte.toISOString().split('T')[0]);
+
+  it('locks each day of a new series before checking it and reports the clashing ones', async () => {
+    prisma.patient.findUnique.mockResolvedValue({ id: PATIENT_ID });
+    prisma.user.findUnique.mockResolvedValue({ id: 'doctor-1', role: 'DOCTOR', active: true });
+    prisma.appointmentSeries.create.mockResolvedValue({ id: SERIES_ID, type: 'FOLLOW_UP' });
+    prisma.appointment.create.mockImplementation(async ({ data }) => ({ id: 'appointment-new', ...data }));
+    prisma.appointment.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 'appointment-2', time: '09:20' }]);
+
+    const response = await request(app).post('/api/appointments/series').send({
+      patientId: PATIENT_ID,
+      doctorId: 'doctor-1',
+      startDate: '2026-11-02',
+      time: '09:20',
+      rrule: 'FREQ=WEEKLY;COUNT=2'
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.created).toHaveLength(1);
+    expect(response.body.conflicts).toEqual([{ date: '2026-11-09', reason: 'Doctor already has an appointment at 09:20' }]);
+
+    const locks = prisma.$executeRaw.mock.invocationCallOrder;
+    const checks = prisma.appointment.findMany.mock.invocationCallOrder;
+    expect(locks).toHaveLength(2);
+    expect(locks[0]).toBeLessThan(checks[0]);
+    expect(checks[0]).toBeLessThan(locks[1]);
+    expect(locks[1]).toBeLessThan(checks[1]);
+    await vi.waitFor(() => expect(publishedQueueDays()).toEqual(['2026-11-02']));
+  });
+
+  describe('PUT /api/appointments/series/:seriesId', () => {
+    const appointments = [
+      { id: 'appointment-1', date: new Date('2026-11-02'), time: '09:20' },
+      { id: 'appointment-2', date: new Date('2026-11-09'), time: '09:20' }
+    ];
+
+    beforeEach(() => {
+      prisma.appointmentSeries.findUnique.mockResolvedValue({ id: SERIES_ID, doctorId: 'doctor-1' });
+    });
+
+    it('locks every affected day before checking the new time and changes nothing on a clash', async () => {
+      prisma.appointment.findMany
+        .mockResolvedValueOnce(appointments)
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 'appointment-3', time: '11:00' }]);
+
+      const response = await request(app).put(`/api/appointments/series/${SERIES_ID}`).send({ scope: 'all', time: '11:00' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.conflicts).toEqual([
+        { appointmentId: 'appointment-2', date: '2026-11-09', reason: 'Doctor already has an appointment at 11:00' }
+      ]);
+      expect(prisma.$executeRaw).toHaveBeenCalledTimes(2);
+      expect(prisma.$executeRaw.mock.invocationCallOrder[1]).toBeLessThan(prisma.appointment.findMany.mock.invocationCallOrder[1]);
+      expect(prisma.appointment.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('publishes the queue of each changed day', async () => {
+      prisma.appointment.findMany
+        .mockResolvedValueOnce(appointments)
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(appointments.map(appointment => ({ ...appointment, time: '11:00' })));
+
+      const response = await request(app).put(`/api/appointments/series/${SERIES_ID}`).send({ scope: 'all', time: '11:00' });
+
+      expect(response.status).toBe(200);
+      expect(prisma.appointment.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['appointment-1', 'appointment-2'] } },
+        data: { time: '11:00' }
+      });
+      await vi.waitFor(() => expect(publishedQueueDays().sort()).toEqual(['2026-11-02', '2026-11-09']));
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import { markNoShows } from '../src/services/attendance.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const stale = (id, status) => ({ id, status, doctorId: 'doctor-1', date: new Date('2026-10-01'), time: '09:20' });
+
+// The status each appointment was moved to by the sweep
+const sweptTo = () => Object.fromEntries(prisma.appointment.updateMany.mock.calls.map(([args]) => [args.where.id, args.data.status]));
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  prisma.appointment.updateMany.mockResolvedValue({ count: 1 });
+  prisma.appointment.findUnique.mockImplementation(async ({ where }) => ({ id: where.id }));
+});
+
+describe('markNoShows', () => {
+  it('marks unattended appointments as no-shows and closes ones left in the queue as cancelled', async () => {
+    prisma.appointment.findMany.mockResolvedValue([stale('appointment-1', 'SCHEDULED'), stale('appointment-2', 'IN_QUEUE')]);
+
+    expect(await markNoShows()).toBe(2);
+    expect(prisma.appointment.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ status: { in: ['SCHEDULED', 'IN_QUEUE'] } })
+    }));
+    expect(sweptTo()).toEqual({ 'appointment-1': 'NO_SHOW', 'appointment-2': 'CANCELLED' });
+    expect(prisma.appointmentStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ appointmentId: 'appointment-2', changedById: null, reason: 'Still in the queue at end of day' })
+    });
+  });
+
+  it('skips appointments changed while the sweep ran', async () => {
+    prisma.appointment.findMany.mockResolvedValue([stale('appointment-1', 'SCHEDULED')]);
+    prisma.appointment.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await markNoShows()).toBe(0);
+  });
+});
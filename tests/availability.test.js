@@ -0,0 +1,68 @@
+import { describe, expect, it, vi } from 'vitest';
+import { findBookingConflict } from '../src/services/availability.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+// 2026-11-02 is a Monday
+const date = new Date('2026-11-02');
+
+const schedule = {
+  slotMinutes: 20,
+  hours: [{ dayOfWeek: 1, startTime: '09:00', endTime: '13:00' }],
+  breaks: [{ dayOfWeek: null, startTime: '11:00', endTime: '11:20' }]
+};
+
+const doctorDay = ({ withSchedule = true, leave = null, appointments = [], holds = [] } = {}) => {
+  const client = createFakePrisma();
+  client.doctorSchedule.findUnique.mockResolvedValue(withSchedule ? schedule : null);
+  client.doctorLeave.findFirst.mockResolvedValue(leave);
+  client.appointment.findMany.mockResolvedValue(appointments);
+  client.waitlistOffer.findMany.mockResolvedValue(holds);
+  return client;
+};
+
+describe('findBookingConflict', () => {
+  it('accepts a free slot within working hours', async () => {
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client: doctorDay() })).toBeNull();
+  });
+
+  it('rejects times outside working hours and during breaks', async () => {
+    expect(await findBookingConflict('doctor-1', date, '08:00', { client: doctorDay() }))
+      .toBe('Requested time is outside the doctor\'s working hours');
+    expect(await findBookingConflict('doctor-1', date, '11:10', { client: doctorDay() }))
+      .toBe('Requested time falls within the doctor\'s break');
+  });
+
+  it('rejects leave days, also for doctors without a schedule', async () => {
+    const leave = { id: 'leave-1' };
+
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client: doctorDay({ leave }) }))
+      .toBe('Doctor is on leave on this date');
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client: doctorDay({ withSchedule: false, leave }) }))
+      .toBe('Doctor is on leave on this date');
+  });
+
+  it('rejects a slot overlapping another appointment unless it is the one being moved', async () => {
+    const client = doctorDay({ appointments: [{ id: 'appointment-1', time: '09:10' }] });
+
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client }))
+      .toBe('Doctor already has an appointment at 09:10');
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client, excludeAppointmentId: 'appointment-1' }))
+      .toBeNull();
+  });
+
+  it('only lets the offer holding a slot book into it', async () => {
+    const client = doctorDay({ holds: [{ id: 'offer-1', time: '09:20' }] });
+
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client }))
+      .toBe('Slot at 09:20 is held for a waitlisted patient');
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client, excludeAppointmentId: 'offer-1' }))
+      .toBe('Slot at 09:20 is held for a waitlisted patient');
+    expect(await findBookingConflict('doctor-1', date, '09:20', { client, excludeOfferId: 'offer-1' }))
+      .toBeNull();
+  });
+});
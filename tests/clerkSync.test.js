@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import express from 'express';
+import request from 'supertest';
+import { Webhook } from 'svix';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import webhookRoutes from '../src/routes/webhooks.js';
+import { syncClerkEvent, verifyClerkWebhook } from '../src/services/clerkSync.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const SECRET = `whsec_${Buffer.from('mediconnect-test-webhook-secret').toString('base64')}`;
+const USER_ID = 'user_2fixtureDoctor0001';
+
+// Compact a fixture and sign it the way scripts/clerk-webhook.js does
+const signed = (name) => {
+  const payload = JSON.stringify(JSON.parse(fs.readFileSync(new URL(`../fixtures/clerk/${name}.json`, import.meta.url), 'utf8')));
+  const id = `msg_${crypto.randomBytes(12).toString('hex')}`;
+  const timestamp = new Date();
+
+  return {
+    payload,
+    headers: {
+      'svix-id': id,
+      'svix-timestamp': String(Math.floor(timestamp.getTime() / 1000)),
+      'svix-signature': new Webhook(SECRET).sign(id, timestamp, payload)
+    }
+  };
+};
+
+// Verify a fixture and apply it, as the webhook route does
+const deliver = (name) => {
+  const { payload, headers } = signed(name);
+  return syncClerkEvent(verifyClerkWebhook(payload, headers, SECRET));
+};
+
+beforeEach(() => {
+  vi.resetAllMocks();
+});
+
+describe('verifyClerkWebhook', () => {
+  it('accepts every signed fixture', () => {
+    ['user.created', 'user.updated', 'user.updated.role-removed', 'user.deleted'].forEach(name => {
+      const { payload, headers } = signed(name);
+      expect(verifyClerkWebhook(payload, headers, SECRET).type).toBe(name.replace('.role-removed', ''));
+    });
+  });
+
+  it('rejects a tampered signature or payload', () => {
+    const { payload, headers } = signed('user.created');
+    const [version, signature] = headers['svix-signature'].split(',');
+    const tampered = `${version},${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+    expect(() => verifyClerkWebhook(payload, { ...headers, 'svix-signature': tampered }, SECRET)).toThrow();
+    expect(() => verifyClerkWebhook(payload.replace('doctor', 'admin'), headers, SECRET)).toThrow();
+  });
+});
+
+describe('syncClerkEvent', () => {
+  it('upserts a user with a staff role', async () => {
+    expect(await deliver('user.created')).toEqual({ action: 'upserted', userId: USER_ID });
+    expect(prisma.user.upsert).toHaveBeenCalledWith({
+      where: { id: USER_ID },
+      update: { email: 'grace.okafor@mediconnect.local', firstName: 'Grace', lastName: 'Okafor', role: 'DOCTOR' },
+      create: { id: USER_ID, email: 'grace.okafor@mediconnect.local', firstName: 'Grace', lastName: 'Okafor', role: 'DOCTOR' }
+    });
+  });
+
+  it('updates the role from public metadata', async () => {
+    await deliver('user.updated');
+
+    expect(prisma.user.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ role: 'ADMIN' })
+    }));
+  });
+
+  it('deactivates a user whose role was removed', async () => {
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    expect(await deliver('user.updated.role-removed')).toMatchObject({ action: 'deactivated', userId: USER_ID });
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: USER_ID, active: true },
+      data: { active: false, deactivatedAt: expect.any(Date) }
+    });
+    expect(prisma.user.upsert).not.toHaveBeenCalled();
+  });
+
+  it('deactivates a deleted user instead of removing the row', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: USER_ID, active: true });
+
+    expect(await deliver('user.deleted')).toEqual({ action: 'deactivated', userId: USER_ID });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: USER_ID },
+      data: { active: false, deactivatedAt: expect.any(Date) }
+    });
+  });
+});
+
+describe('POST /api/webhooks/clerk', () => {
+  const app = express().use('/api/webhooks', webhookRoutes);
+
+  beforeEach(() => {
+    vi.stubEnv('CLERK_WEBHOOK_SECRET', SECRET);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('applies a signed event from the raw body', async () => {
+    const { payload, headers } = signed('user.created');
+
+    const response = await request(app).post('/api/webhooks/clerk').set(headers).set('Content-Type', 'application/json').send(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, type: 'user.created', action: 'upserted', userId: USER_ID });
+  });
+
+  it('refuses an unsigned event', async () => {
+    const { payload } = signed('user.created');
+
+    const response = await request(app).post('/api/webhooks/clerk').set('Content-Type', 'application/json').send(payload);
+
+    expect(response.status).toBe(400);
+    expect(prisma.user.upsert).not.toHaveBeenCalled();
+  });
+});
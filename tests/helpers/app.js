@@ -0,0 +1,16 @@
+import express from 'express';
+
+// Mount a router the way src/index.js does, with `user` standing in for the staff
+// account resolveUser would attach
+export const createApp = (path, router, user = { id: 'user-admin', role: 'ADMIN', active: true }) => {
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(path, router);
+
+  return app;
+};
@@ -0,0 +1,52 @@
+import { vi } from 'vitest';
+
+// What an unconfigured model method resolves to, so code paths a test does not care
+// about still get a sensibly shaped answer
+const DEFAULTS = {
+  findMany: () => [],
+  findFirst: () => null,
+  findUnique: () => null,
+  count: () => 0,
+  groupBy: () => [],
+  updateMany: () => ({ count: 0 }),
+  deleteMany: () => ({ count: 0 })
+};
+
+// A stand-in for the Prisma client. Model methods (prisma.appointment.create, ...) are
+// vi.fn()s made on first use; $transaction runs its callback with the same client, so
+// calls made inside and outside a transaction land on the same mocks.
+export const createFakePrisma = () => {
+  const models = {};
+
+  const client = {
+    $transaction: vi.fn(async (work) => (Array.isArray(work) ? Promise.all(work) : work(fake))),
+    $queryRaw: vi.fn(async () => []),
+    $executeRaw: vi.fn(async () => 1),
+    $disconnect: vi.fn(async () => {})
+  };
+
+  const fake = new Proxy(client, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string' || name === 'then') {
+        return target[name];
+      }
+
+      if (!models[name]) {
+        models[name] = new Proxy({}, {
+          get(methods, method) {
+            if (!methods[method]) {
+              const fallback = DEFAULTS[method];
+              methods[method] = vi.fn(async () => (fallback ? fallback() : undefined));
+            }
+
+            return methods[method];
+          }
+        });
+      }
+
+      return models[name];
+    }
+  });
+
+  return fake;
+};
@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import { deliverPendingReminders, MAX_ATTEMPTS } from '../src/services/reminders.js';
+import { getTransport } from '../src/services/transports.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+vi.mock('../src/services/transports.js', () => ({
+  getTransport: vi.fn()
+}));
+
+const now = new Date('2026-11-02T08:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const email = { send: vi.fn() };
+
+const reminder = (overrides = {}) => ({
+  id: 'notification-1',
+  channel: 'EMAIL',
+  status: 'PENDING',
+  attempts: 0,
+  subject: 'Appointment tomorrow',
+  body: 'See you at 09:20',
+  nextAttemptAt: new Date(now.getTime() - MINUTE_MS),
+  appointment: {
+    status: 'SCHEDULED',
+    date: new Date('2026-11-03'),
+    time: '09:20',
+    patient: { email: 'jane@example.com', emailReminders: true }
+  },
+  ...overrides
+});
+
+// The data of the last write to a reminder after it was claimed
+const lastUpdate = () => prisma.notification.update.mock.calls.at(-1)[0].data;
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  vi.useFakeTimers({ now, toFake: ['Date'] });
+  getTransport.mockImplementation((channel) => {
+    if (channel === 'EMAIL') {
+      return email;
+    }
+    throw new Error(`No ${channel} transport configured; set ${channel}_TRANSPORT`);
+  });
+  prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+  email.send.mockResolvedValue({ providerId: 'message-1' });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('deliverPendingReminders', () => {
+  it('claims a due reminder before sending it', async () => {
+    prisma.notification.findMany.mockResolvedValue([reminder()]);
+
+    const summary = await deliverPendingReminders(now);
+
+    expect(summary.sent).toBe(1);
+    expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+      where: { id: 'notification-1', status: 'PENDING', nextAttemptAt: reminder().nextAttemptAt },
+      data: expect.objectContaining({ status: 'SENDING', attempts: { increment: 1 } })
+    });
+    expect(email.send).toHaveBeenCalledWith({ to: 'jane@example.com', subject: 'Appointment tomorrow', body: 'See you at 09:20' });
+    expect(lastUpdate()).toMatchObject({ status: 'SENT', providerId: 'message-1', lastError: null });
+  });
+
+  it('leaves a reminder another worker claimed first', async () => {
+    prisma.notification.findMany.mockResolvedValue([reminder()]);
+    prisma.notification.updateMany.mockImplementation(async ({ where }) => ({ count: where.id ? 0 : 1 }));
+
+    const summary = await deliverPendingReminders(now);
+
+    expect(summary.sent).toBe(0);
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  it('backs off exponentially after a failed attempt', async () => {
+    prisma.notification.findMany.mockResolvedValue([reminder({ attempts: 2 })]);
+    email.send.mockRejectedValue(new Error('SMTP timeout'));
+
+    const summary = await deliverPendingReminders(now);
+
+    expect(summary.retried).toBe(1);
+    expect(lastUpdate()).toMatchObject({
+      status: 'PENDING',
+      lastError: 'SMTP timeout',
+      nextAttemptAt: new Date(now.getTime() + 4 * MINUTE_MS)
+    });
+  });
+
+  it('gives up once the attempts run out', async () => {
+    prisma.notification.findMany.mockResolvedValue([reminder({ attempts: MAX_ATTEMPTS - 1 })]);
+    email.send.mockRejectedValue(new Error('SMTP timeout'));
+
+    const summary = await deliverPendingReminders(now);
+
+    expect(summary.failed).toBe(1);
+    expect(lastUpdate()).toMatchObject({ status: 'FAILED', lastError: 'SMTP timeout' });
+  });
+
+  it('cancels reminders of appointments that no longer take place', async () => {
+    prisma.notification.findMany.mockResolvedValue([reminder({ appointment: { ...reminder().appointment, status: 'CANCELLED' } })]);
+
+    const summary = await deliverPendingReminders(now);
+
+    expect(summary.cancelled).toBe(1);
+    expect(email.send).not.toHaveBeenCalled();
+    expect(lastUpdate()).toEqual({ status: 'CANCELLED', lastError: 'Appointment is CANCELLED' });
+  });
+
+  it('keeps reminders of an unconfigured channel out of the batch', async () => {
+    prisma.notification.updateMany.mockResolvedValueOnce({ count: 3 });
+
+    const summary = await deliverPendingReminders(now);
+
+    expect(summary.unconfigured).toBe(3);
+    expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+      where: expect.objectContaining({ channel: 'SMS', status: 'PENDING' }),
+      data: { lastError: 'No SMS transport configured; set SMS_TRANSPORT' }
+    });
+    expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ channel: { in: ['EMAIL'] } })
+    }));
+  });
+});
@@ -0,0 +1,112 @@
+import request from 'supertest';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import reservationRoutes from '../src/routes/reservations.js';
+import { expireReservations, releaseReservation, reserveBed } from '../src/services/reservations.js';
+import { createApp } from './helpers/app.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const app = createApp('/api/reservations', reservationRoutes);
+
+const BED_ID = '3c2b1a09-8f7e-4d6c-9b5a-4f3e2d1c0b9a';
+
+const reservation = { id: 'reservation-1', bedId: BED_ID, status: 'ACTIVE', bed: { id: BED_ID, ward: 'ICU' } };
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  prisma.bedReservation.create.mockImplementation(async ({ data }) => ({ id: 'reservation-1', ...data, bed: { id: BED_ID, ward: 'ICU' } }));
+  prisma.bedReservation.findUnique.mockResolvedValue(reservation);
+});
+
+describe('reserveBed', () => {
+  const arrival = new Date('2026-11-02T10:00:00Z');
+
+  it('holds the bed only if it is still available and defaults the expiry to the grace period', async () => {
+    prisma.bed.updateMany.mockResolvedValue({ count: 1 });
+
+    const created = await reserveBed({ bedId: BED_ID, placeholderName: 'Ambulance', expectedArrival: arrival, reservedById: 'user-1' });
+
+    expect(prisma.bed.updateMany).toHaveBeenCalledWith({
+      where: { id: BED_ID, status: 'AVAILABLE' },
+      data: { status: 'RESERVED', version: { increment: 1 } }
+    });
+    expect(created.expiresAt).toEqual(new Date('2026-11-02T12:00:00Z'));
+  });
+
+  it('creates no reservation when the bed was taken meanwhile', async () => {
+    prisma.bed.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(reserveBed({ bedId: BED_ID, placeholderName: 'Ambulance', expectedArrival: arrival, reservedById: 'user-1' }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(prisma.bedReservation.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('releaseReservation', () => {
+  it('ends the reservation and frees the bed only while it is still held', async () => {
+    prisma.bedReservation.updateMany.mockResolvedValue({ count: 1 });
+
+    await releaseReservation(reservation, 'CANCELLED');
+
+    expect(prisma.bedReservation.updateMany).toHaveBeenCalledWith({
+      where: { id: 'reservation-1', status: 'ACTIVE' },
+      data: { status: 'CANCELLED' }
+    });
+    expect(prisma.bed.updateMany).toHaveBeenCalledWith({
+      where: { id: BED_ID, status: 'RESERVED' },
+      data: { status: 'AVAILABLE', version: { increment: 1 } }
+    });
+  });
+
+  it('leaves the bed alone when the reservation was converted or released first', async () => {
+    prisma.bedReservation.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(releaseReservation(reservation, 'CANCELLED')).rejects.toMatchObject({ status: 409 });
+    expect(prisma.bed.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('expireReservations', () => {
+  it('skips reservations that stopped being active while the run was going', async () => {
+    prisma.bedReservation.findMany.mockResolvedValue([reservation, { ...reservation, id: 'reservation-2' }]);
+    prisma.bedReservation.updateMany
+      .mockResolvedValueOnce({ count: 0 })
+      .mockResolvedValueOnce({ count: 1 });
+
+    expect(await expireReservations()).toBe(1);
+  });
+});
+
+describe('POST /api/reservations', () => {
+  it('reports a bed taken between the check and the hold as a conflict', async () => {
+    prisma.bed.findUnique.mockResolvedValue({ id: BED_ID, status: 'AVAILABLE' });
+    prisma.bed.updateMany.mockResolvedValue({ count: 0 });
+
+    const response = await request(app).post('/api/reservations').send({
+      bedId: BED_ID,
+      placeholderName: 'Ambulance: male, ~60',
+      expectedArrival: '2026-11-02T10:00:00Z'
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Bed is no longer available');
+  });
+
+  it('maps a one-active-reservation index violation to a conflict', async () => {
+    prisma.bed.findUnique.mockResolvedValue({ id: BED_ID, status: 'AVAILABLE' });
+    prisma.bed.updateMany.mockResolvedValue({ count: 1 });
+    prisma.bedReservation.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    const response = await request(app).post('/api/reservations').send({
+      bedId: BED_ID,
+      placeholderName: 'Ambulance: male, ~60',
+      expectedArrival: '2026-11-02T10:00:00Z'
+    });
+
+    expect(response.status).toBe(409);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it, vi } from 'vitest';
+import { checkPartialIndexes } from '../src/services/schemaGuards.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const withIndexes = (...names) => {
+  const client = createFakePrisma();
+  client.$queryRaw.mockResolvedValue(names.map(indexname => ({ indexname })));
+  return client;
+};
+
+describe('checkPartialIndexes', () => {
+  it('passes when every partial unique index exists', async () => {
+    const client = withIndexes('Admission_bedId_active_key', 'Admission_patientId_active_key', 'BedReservation_bedId_active_key');
+
+    await expect(checkPartialIndexes(client)).resolves.toBeUndefined();
+  });
+
+  it('names the missing indexes', async () => {
+    const client = withIndexes('Admission_bedId_active_key');
+
+    await expect(checkPartialIndexes(client)).rejects.toThrow('Missing partial unique indexes: Admission_patientId_active_key, BedReservation_bedId_active_key.');
+  });
+});
@@ -0,0 +1,54 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { prisma } from '../src/index.js';
+import { acceptOffer } from '../src/services/waitlist.js';
+
+vi.mock('../src/index.js', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma.js');
+  return { prisma: createFakePrisma() };
+});
+
+const offer = {
+  id: 'offer-1',
+  doctorId: 'doctor-1',
+  date: new Date('2026-11-02'),
+  time: '09:20',
+  status: 'OFFERED',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  entry: { id: 'entry-1', patientId: 'patient-1', doctorId: 'doctor-1', type: 'FOLLOW_UP' }
+};
+
+beforeEach(() => {
+  vi.resetAllMocks();
+  prisma.$queryRaw.mockResolvedValue([{ lastNumber: 2 }]);
+  prisma.waitlistOffer.findUnique.mockResolvedValue(offer);
+  prisma.appointment.create.mockImplementation(async ({ data }) => ({ id: 'appointment-new', ...data }));
+});
+
+describe('acceptOffer', () => {
+  it('locks the day before checking the slot and books into the offer\'s own hold', async () => {
+    prisma.waitlistOffer.findMany.mockResolvedValue([{ id: 'offer-1', time: '09:20' }]);
+
+    const appointment = await acceptOffer('offer-1', 'user-1');
+
+    expect(appointment).toMatchObject({ patientId: 'patient-1', time: '09:20', queueNumber: 2 });
+    expect(prisma.$executeRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.appointment.findMany.mock.invocationCallOrder[0]);
+    expect(prisma.waitlistOffer.update).toHaveBeenCalledWith({
+      where: { id: 'offer-1' },
+      data: expect.objectContaining({ status: 'ACCEPTED', appointmentId: 'appointment-new' })
+    });
+  });
+
+  it('does not let the offer id hide an appointment booked into the slot', async () => {
+    prisma.appointment.findMany.mockResolvedValue([{ id: 'offer-1', time: '09:20' }]);
+
+    await expect(acceptOffer('offer-1', 'user-1')).rejects.toMatchObject({ status: 409 });
+    expect(prisma.appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses offers that have expired', async () => {
+    prisma.waitlistOffer.findUnique.mockResolvedValue({ ...offer, expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(acceptOffer('offer-1', 'user-1')).rejects.toMatchObject({ status: 409, message: 'Offer is no longer open' });
+    expect(prisma.$executeRaw).not.toHaveBeenCalled();
+  });
+});